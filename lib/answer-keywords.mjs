@@ -0,0 +1,115 @@
+// Key term matching for open-ended answers. The key terms of a reference answer
+// are the AWS service names, acronyms and code it mentions, found with simple
+// heuristics rather than a fixed list so they work for any question bank. A typed
+// answer is compared by looking for each term in it, ignoring case, plurals and
+// hyphens between words.
+
+// Uppercase words used for emphasis rather than as terms
+const EMPHASIS_WORDS = new Set(['ALL', 'AND', 'BEST', 'FOUR', 'LEAST', 'MOST', 'NOT', 'ONLY', 'OR', 'THREE', 'TWO']);
+
+// Capitalized words that end a name, as in Title Case headings like "Disable IMDS If Not Needed"
+const ORDINARY_WORDS = new Set(['A', 'An', 'And', 'Are', 'As', 'At', 'Be', 'By', 'For', 'From', 'If', 'In', 'Is', 'Not', 'Of', 'On', 'Or', 'The', 'To', 'Use', 'Using', 'With']);
+
+// Prefixes dropped from service names, so "Amazon S3 Glacier" is matched by "S3 Glacier"
+const NAME_PREFIXES = new Set(['Amazon', 'AWS']);
+
+// Longest code span kept as a term; longer ones are examples rather than names
+const MAX_CODE_TERM_LENGTH = 40;
+
+// Acronyms, product names and identifiers: at least one uppercase letter and two
+// uppercase letters or digits, e.g. S3, EC2, DynamoDB, SSE-KMS, CI/CD, Multi-AZ
+function isKeyToken(token) {
+    if (EMPHASIS_WORDS.has(token) || !/^[A-Za-z0-9][A-Za-z0-9:/.-]*$/.test(token)) return false;
+    return /[A-Z]/.test(token) && (token.match(/[A-Z0-9]/g) || []).length >= 2;
+}
+
+function isCapitalizedWord(token) {
+    return /^[A-Z][a-z]+$/.test(token) && !ORDINARY_WORDS.has(token);
+}
+
+// Collect the terms of one run of names, e.g. "Application Load Balancer" or
+// "Amazon Route 53", without a leading AWS prefix
+function addRun(run, terms) {
+    const hasPrefix = run.length > 0 && NAME_PREFIXES.has(run[0]);
+    while (run.length > 0 && NAME_PREFIXES.has(run[0])) run.shift();
+    if (run.length > 1 || (run.length === 1 && (hasPrefix || isKeyToken(run[0])))) {
+        terms.push(run.join(' '));
+    }
+}
+
+// Find the key terms of a reference answer written in Markdown, in the order
+// they first appear and without duplicates (ignoring case and plurals)
+export function extractKeyTerms(reference) {
+    const terms = [];
+
+    // Short code spans are identifiers such as s3:GetObject; code blocks are skipped
+    const text = reference
+        .replace(/```[\s\S]*?(```|$)/g, '\n')
+        .replace(/`([^`\n]+)`/g, (match, code) => {
+            if (code.trim().length <= MAX_CODE_TERM_LENGTH) terms.push(code.trim());
+            return ' , ';
+        })
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1');
+
+    // Names are runs of capitalized words, acronyms and numbers that don't cross
+    // punctuation. A capitalized word that starts a sentence, list item, heading,
+    // emphasis or clause after a dash is an ordinary word, unless it is a prefix
+    // like "Amazon".
+    let sentenceStart = true;
+    text.split(/([,;()[\]{}"“”|*_#>–—]+|[.!?:]+(?=\s|$)|\n+|\s-\s)/).forEach((part, index) => {
+        if (index % 2 === 1) {
+            if (/[.!?:)*_#>–—\n]/.test(part)) sentenceStart = true;
+            return;
+        }
+
+        let run = [];
+        part.split(/\s+/).filter(Boolean).forEach(token => {
+            const word = token.replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, '');
+            const isName = isKeyToken(word) ||
+                (isCapitalizedWord(word) && (!(sentenceStart && run.length === 0) || NAME_PREFIXES.has(word))) ||
+                (run.length > 0 && /^\d+$/.test(word));
+            // Acronyms next to each other are separate terms, e.g. "Multi-AZ VPC"
+            const previous = run[run.length - 1];
+            if (isName && previous && isKeyToken(previous) && isKeyToken(word) && !NAME_PREFIXES.has(previous)) {
+                addRun(run, terms);
+                run = [];
+            }
+            if (isName) {
+                run.push(word);
+            } else {
+                addRun(run, terms);
+                run = [];
+            }
+            if (word) sentenceStart = false;
+        });
+        addRun(run, terms);
+    });
+
+    const seen = new Set();
+    return terms.filter(term => {
+        const key = term.replace(/s$/, '').toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Regular expression that finds a term as a whole word, in any case, allowing a
+// plural ending and spaces or hyphens between its words
+export function getTermPattern(term, flags = 'i') {
+    const body = term
+        .replace(/s$/, '')
+        .split(/[\s-]+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+        .join('[\\s-]+');
+    return new RegExp(`(?<![A-Za-z0-9])${body}(?:s|es)?(?![A-Za-z0-9])`, flags);
+}
+
+// Compare a typed answer with the key terms of the reference answer. Returns each
+// term with whether the typed answer mentions it.
+export function matchKeyTerms(reference, typedAnswer) {
+    return extractKeyTerms(reference).map(term => ({
+        term,
+        matched: getTermPattern(term).test(typedAnswer)
+    }));
+}
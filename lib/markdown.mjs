@@ -0,0 +1,283 @@
+// Markdown rendering for question, option, explanation and answer text. Supports
+// paragraphs, headings, nested lists, block quotes, tables, fenced code blocks
+// with highlighting for JSON and shell commands, inline code, bold, italics,
+// http(s) links and images stored in the data directory.
+//
+// The output is safe to assign to innerHTML: all text is HTML-escaped and the
+// only markup is what the renderer generates itself, so raw HTML in questions
+// shows up as text. Plain text without Markdown renders as a single paragraph.
+
+// Code block languages that are highlighted, by the names used after ```
+export const CODE_LANGUAGES = {
+    json: 'json',
+    bash: 'shell',
+    sh: 'shell',
+    shell: 'shell',
+    zsh: 'shell',
+    console: 'shell',
+    cli: 'shell'
+};
+
+// Token patterns per highlighted language. Each named group becomes a span with
+// the class "tok-<name>".
+const HIGHLIGHT_PATTERNS = {
+    json: /(?<key>"(?:\\.|[^"\\\n])*"(?=\s*:))|(?<string>"(?:\\.|[^"\\\n])*")|(?<number>-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)|(?<literal>\b(?:true|false|null)\b)/g,
+    shell: /(?<comment>(?<=^|\s)#.*$)|(?<string>'[^'\n]*'|"(?:\\.|[^"\\\n])*")|(?<variable>\$\{?\w+\}?)|(?<flag>(?<=^|\s)--?[A-Za-z][\w-]*)|(?<command>(?<=(?:^|[|;&]|&&)[ \t]*(?:\$[ \t]+)?)[A-Za-z][\w.-]*)/gm
+};
+
+// Images are written as ![alt text](path), with paths relative to the data
+// directory, without ".." or a scheme
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*([^)\s]+)\s*\)/g;
+const IMAGE_PATH_PATTERN = /^(?!\/)(?!.*\.\.)[\w./-]+\.(?:png|jpe?g|gif|svg|webp)$/i;
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(.*)$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Escape text for use in HTML content and attribute values
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Paths of the images referenced in Markdown text
+export function findImagePaths(text) {
+    return Array.from(String(text).matchAll(IMAGE_PATTERN), match => match[2]);
+}
+
+// Whether an image path can be shown: an image file inside the data directory
+export function isImagePathAllowed(path) {
+    return IMAGE_PATH_PATTERN.test(path);
+}
+
+// Highlight a code block as HTML. language is a CODE_LANGUAGES key; code in other
+// languages is only escaped. Code without a language is highlighted as JSON
+// when it parses as JSON.
+export function highlightCode(code, language = '') {
+    let type = CODE_LANGUAGES[language.toLowerCase()];
+    if (!type && !language && /^\s*[{[]/.test(code)) {
+        try {
+            JSON.parse(code);
+            type = 'json';
+        } catch {
+            // Not JSON, leave it unhighlighted
+        }
+    }
+    if (!type) return escapeHtml(code);
+
+    let html = '';
+    let last = 0;
+    for (const match of code.matchAll(HIGHLIGHT_PATTERNS[type])) {
+        const [name] = Object.entries(match.groups).find(([, value]) => value !== undefined);
+        html += escapeHtml(code.slice(last, match.index));
+        html += `<span class="tok-${name}">${escapeHtml(match[0])}</span>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHtml(code.slice(last));
+}
+
+// Render inline Markdown (code, links, images, bold and italics) as HTML, for
+// text that must stay on one line such as answer options
+export function renderInlineMarkdown(text, options = {}) {
+    const { imageBase = 'data/' } = options;
+    const placeholders = [];
+    const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    let html = String(text)
+        .replace(/\u0000/g, '')
+        // Code spans are shown verbatim
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.trim() || code)}</code>`))
+        .replace(IMAGE_PATTERN, (match, alt, path) => {
+            if (!isImagePathAllowed(path)) return hold(escapeHtml(alt));
+            const src = path.startsWith(imageBase) ? path : imageBase + path;
+            return hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy">`);
+        })
+        .replace(/\[([^\]]+)\]\(\s*(https?:\/\/[^)\s]+)\s*\)/g, (match, label, url) => {
+            return hold(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${renderInlineMarkdown(label, options)}</a>`);
+        });
+
+    html = escapeHtml(html)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+}
+
+// Render Markdown text as HTML
+export function renderMarkdown(text, options = {}) {
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return renderBlocks(lines, options);
+}
+
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+function getIndent(line) {
+    return line.match(/^ */)[0].length;
+}
+
+// Remove up to count leading spaces
+function dedent(line, count) {
+    return line.slice(Math.min(getIndent(line), count));
+}
+
+// Whether a line starts a block other than a paragraph. Used to end paragraphs.
+function startsBlock(lines, index) {
+    const line = lines[index];
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) || isTableStart(lines, index);
+}
+
+function isTableStart(lines, index) {
+    return lines[index].includes('|') && index + 1 < lines.length &&
+        lines[index + 1].includes('-') && TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+}
+
+function renderBlocks(lines, options) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (isBlank(line)) {
+            i++;
+        } else if ((match = FENCE_PATTERN.exec(line))) {
+            const [, fence, language] = match;
+            const indent = getIndent(line);
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+                code.push(dedent(lines[i], indent));
+                i++;
+            }
+            i++;
+            const languageClass = language ? ` class="language-${escapeHtml(language.toLowerCase())}"` : '';
+            blocks.push(`<pre class="code-block"><code${languageClass}>${highlightCode(code.join('\n'), language)}</code></pre>`);
+        } else if ((match = HEADING_PATTERN.exec(line))) {
+            // Headings start at h3 so they rank below the page's own headings
+            const level = Math.min(match[1].length + 2, 6);
+            blocks.push(`<h${level}>${renderInlineMarkdown(match[2], options)}</h${level}>`);
+            i++;
+        } else if (QUOTE_PATTERN.test(line)) {
+            const quoted = [];
+            while (i < lines.length && !isBlank(lines[i]) && (QUOTE_PATTERN.test(lines[i]) || !startsBlock(lines, i))) {
+                quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+                i++;
+            }
+            blocks.push(`<blockquote>${renderBlocks(quoted, options)}</blockquote>`);
+        } else if (isTableStart(lines, i)) {
+            i = renderTable(lines, i, blocks, options);
+        } else if (LIST_ITEM_PATTERN.test(line)) {
+            i = renderList(lines, i, blocks, options);
+        } else {
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            blocks.push(`<p>${renderInlineMarkdown(paragraph.join('\n'), options)}</p>`);
+        }
+    }
+
+    return blocks.join('\n');
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Render the table starting at lines[start] and return the index after it
+function renderTable(lines, start, blocks, options) {
+    const header = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+    });
+    const renderRow = (cells, tag) => `<tr>${header.map((_, index) => {
+        const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderInlineMarkdown(cells[index] || '', options)}</${tag}>`;
+    }).join('')}</tr>`;
+
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        rows.push(renderRow(splitTableRow(lines[i]), 'td'));
+        i++;
+    }
+
+    blocks.push(`<table><thead>${renderRow(header, 'th')}</thead><tbody>${rows.join('')}</tbody></table>`);
+    return i;
+}
+
+// Render the list starting at lines[start] and return the index after it. Items
+// are separated by blank lines in loose lists, whose items are rendered as
+// paragraphs. Lines indented past the list marker belong to the item, including
+// nested lists.
+function renderList(lines, start, blocks, options) {
+    const [, indentText, marker] = LIST_ITEM_PATTERN.exec(lines[start]);
+    const indent = indentText.length;
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let contentIndent = 0;
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const match = LIST_ITEM_PATTERN.exec(line);
+
+        if (match && match[1].length === indent && /\d/.test(match[2]) === ordered) {
+            contentIndent = indent + match[2].length + match[3].length;
+            items.push([match[4]]);
+            i++;
+        } else if (isBlank(line)) {
+            // A blank line continues the list if the next line belongs to it
+            let next = i + 1;
+            while (next < lines.length && isBlank(lines[next])) next++;
+            if (next >= lines.length) break;
+
+            const nextMatch = LIST_ITEM_PATTERN.exec(lines[next]);
+            const isSibling = nextMatch && nextMatch[1].length === indent && /\d/.test(nextMatch[2]) === ordered;
+            if (!isSibling && getIndent(lines[next]) <= indent) break;
+
+            loose = loose || isSibling;
+            items[items.length - 1].push('');
+            i++;
+        } else if (getIndent(line) > indent) {
+            items[items.length - 1].push(dedent(line, contentIndent));
+            i++;
+        } else if (!startsBlock(lines, i) && !isBlank(lines[i - 1])) {
+            // Lazy continuation of the item's paragraph
+            items[items.length - 1].push(line.trim());
+            i++;
+        } else {
+            break;
+        }
+    }
+
+    const startAttribute = ordered && parseInt(marker) !== 1 ? ` start="${parseInt(marker)}"` : '';
+    const tag = ordered ? 'ol' : 'ul';
+    const renderedItems = items.map(itemLines => {
+        let html = renderBlocks(itemLines, options);
+        // Tight items show their text without a paragraph around it
+        if (!loose) html = html.replace(/^<p>([\s\S]*?)<\/p>(?=\n|$)/, '$1');
+        return `<li>${html}</li>`;
+    });
+    blocks.push(`<${tag}${startAttribute}>${renderedItems.join('')}</${tag}>`);
+    return i;
+}
@@ -0,0 +1,764 @@
+// Headless question engine shared by the web app (main.js) and other front ends
+// such as command line tools. It covers manifest and profile loading, filtering,
+// spaced-repetition question selection, grading, mock exams, blueprint-balanced
+// practice sets, the review of the current session, per-question notes, issue
+// reports and progress accounting, without touching the DOM.
+//
+// The engine is created with functions that read the manifest and question files,
+// and a storage object with the getItem/setItem interface of localStorage where
+// attempts, the review schedule, notes and issue reports are persisted. The browser passes
+// window.localStorage; Node front ends can pass createMemoryStorage() or their
+// own file-backed store.
+
+import { getCorrectIndices, getProfileFiles, loadProfileQuestions } from './question-loader.mjs';
+import { EMPTY_QUERY, queryQuestions } from './question-query.mjs';
+
+// Storage keys for persisted data
+const STORAGE_KEYS = {
+    attempts: 'aws-exam-practice.attempts',
+    schedule: 'aws-exam-practice.schedule',
+    notes: 'aws-exam-practice.notes',
+    reports: 'aws-exam-practice.reports'
+};
+
+// Spaced repetition (SM-2). Recall grades map to SM-2 quality scores; anything
+// below RECALLED_QUALITY counts as forgotten and the question comes back after a
+// short delay. Self-graded open-ended answers count as correct from that score.
+export const RECALL_GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+export const RECALLED_QUALITY = 3;
+export const RELEARN_DELAY_MS = 10 * 60 * 1000;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters for the review of the current session
+export const REVIEW_FILTERS = ['incorrect', 'flagged'];
+
+// Categories of the issues users can report on a question, with their labels
+export const ISSUE_CATEGORIES = {
+    'wrong-answer': 'Wrong answer',
+    'ambiguous': 'Ambiguous',
+    'outdated': 'Outdated service info'
+};
+
+// Exam blueprint: the domains of an exam with their target share of the
+// questions and the tags that count towards them. A question counts towards the
+// first domain that shares one of its tags. Profiles declare their own with a
+// "blueprint" entry in data/manifest.json; the others use the SAA-C03 domains
+// (see template.md).
+export const DEFAULT_BLUEPRINT = [
+    { name: 'Design Secure Architectures', weight: 0.30, tags: ['Secure Architectures', 'Security'] },
+    { name: 'Design Resilient Architectures', weight: 0.26, tags: ['Resilient Architectures', 'Resilience & DR'] },
+    { name: 'Design High-Performing Architectures', weight: 0.24, tags: ['High-Performing Architectures', 'Performance'] },
+    { name: 'Design Cost-Optimized Architectures', weight: 0.20, tags: ['Cost-Optimized Architectures', 'Cost Optimization'] }
+];
+export const OTHER_DOMAIN = 'Other Topics';
+
+// Default mock exam settings, can be overridden per profile with an "exam"
+// entry in data/manifest.json. Scores are scaled from 100 to 1000.
+export const DEFAULT_EXAM_SETTINGS = {
+    questionCount: 65,
+    durationMinutes: 130,
+    passingScore: 720
+};
+
+// In-memory storage with the localStorage interface, e.g. for tests
+export function createMemoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Check whether the selected options exactly match the correct ones
+export function isAnswerCorrect(question, selectedIndices) {
+    const correctIndices = getCorrectIndices(question);
+    return selectedIndices.length === correctIndices.length &&
+        correctIndices.every(index => selectedIndices.includes(index));
+}
+
+// Map each question uid to the result of its last attempt: 'correct', 'wrong',
+// or 'seen' when it was only ever answered without grading
+export function getAnswerHistory(attempts) {
+    const history = new Map();
+    attempts.forEach(attempt => {
+        if (attempt.correct !== null) {
+            history.set(attempt.questionUid, attempt.correct ? 'correct' : 'wrong');
+        } else if (!history.has(attempt.questionUid)) {
+            history.set(attempt.questionUid, 'seen');
+        }
+    });
+    return history;
+}
+
+// Group graded attempts by key and compute accuracy, overall and for the
+// last seven days
+export function summarizeAttempts(attempts, getKeys, now = Date.now()) {
+    const weekAgo = now - 7 * DAY_MS;
+    const groups = new Map();
+
+    attempts.filter(attempt => attempt.correct !== null).forEach(attempt => {
+        getKeys(attempt).forEach(key => {
+            if (!groups.has(key)) groups.set(key, { total: 0, correct: 0, recentTotal: 0, recentCorrect: 0 });
+
+            const group = groups.get(key);
+            group.total++;
+            if (attempt.correct) group.correct++;
+            if (attempt.timestamp >= weekAgo) {
+                group.recentTotal++;
+                if (attempt.correct) group.recentCorrect++;
+            }
+        });
+    });
+
+    return groups;
+}
+
+// Get the timestamp of the end of the day containing the given time
+export function getEndOfDay(time) {
+    const endOfDay = new Date(time);
+    endOfDay.setHours(23, 59, 59, 999);
+    return endOfDay.getTime();
+}
+
+// Compute the next review schedule entry from an SM-2 quality score (0-5). The
+// entry is undefined for a question that was never reviewed.
+export function updateReviewSchedule(entry, quality, now) {
+    const next = { repetitions: 0, interval: 0, easeFactor: 2.5, ...entry };
+
+    if (quality < RECALLED_QUALITY) {
+        // Forgotten: start over and bring it back soon
+        next.repetitions = 0;
+        next.interval = 0;
+        next.due = now + RELEARN_DELAY_MS;
+    } else {
+        next.repetitions++;
+        if (next.repetitions === 1) {
+            next.interval = 1;
+        } else if (next.repetitions === 2) {
+            next.interval = 6;
+        } else {
+            next.interval = Math.round(next.interval * next.easeFactor);
+        }
+        next.due = now + next.interval * DAY_MS;
+    }
+
+    next.easeFactor = Math.max(1.3, next.easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    next.lastReviewed = now;
+    return next;
+}
+
+// Get the blueprint domain a question belongs to based on its tags
+export function getQuestionDomain(question, blueprint = DEFAULT_BLUEPRINT) {
+    const domain = blueprint.find(d => d.tags.some(tag => question.tags.includes(tag)));
+    return domain ? domain.name : OTHER_DOMAIN;
+}
+
+// Split count questions between the blueprint domains in proportion to their
+// weights, rounded so the shares add up to count (largest remainder first)
+export function getBlueprintQuotas(blueprint, count) {
+    const totalWeight = blueprint.reduce((sum, domain) => sum + domain.weight, 0) || 1;
+    const exact = blueprint.map(domain => domain.weight / totalWeight * count);
+    const quotas = exact.map(Math.floor);
+    let remaining = count - quotas.reduce((sum, quota) => sum + quota, 0);
+
+    exact
+        .map((value, index) => ({ index, remainder: value - quotas[index] }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ index }) => {
+            if (remaining <= 0) return;
+            quotas[index]++;
+            remaining--;
+        });
+    return quotas;
+}
+
+// Count the questions in each blueprint domain, and their share of all questions
+// next to the domain's target weight (normalized so the weights add up to 1).
+// Questions outside every domain are counted under OTHER_DOMAIN with weight 0.
+export function getBlueprintCoverage(questions, blueprint = DEFAULT_BLUEPRINT) {
+    const totalWeight = blueprint.reduce((sum, domain) => sum + domain.weight, 0) || 1;
+    const domains = [
+        ...blueprint.map(domain => ({ name: domain.name, weight: domain.weight / totalWeight })),
+        { name: OTHER_DOMAIN, weight: 0 }
+    ].map(domain => ({ ...domain, count: 0, multipleChoice: 0, share: 0 }));
+
+    questions.forEach(question => {
+        const name = getQuestionDomain(question, blueprint);
+        const domain = domains.find(d => d.name === name);
+        domain.count++;
+        if (question.type === 'multiple-choice') domain.multipleChoice++;
+    });
+    domains.forEach(domain => {
+        if (questions.length > 0) domain.share = domain.count / questions.length;
+    });
+    return domains;
+}
+
+// Shuffle an array in place (Fisher-Yates)
+export function shuffleArray(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// Options that refer to the other options, like "All of the above", keep their
+// position when the options are shuffled
+export const PINNED_OPTION_PATTERN = /^(all|none|any|both|neither)\b.*\b(above|below|these|options)\W*$/i;
+
+// Create a random number generator from a seed string (mulberry32 seeded with a
+// hash of the string), for reproducible shuffles
+export function createSeededRandom(seed) {
+    let hash = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+
+    let state = hash >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Get the order to show the options of a multiple choice question in, as a list
+// of indices into question.options. Options matching PINNED_OPTION_PATTERN or
+// listed in the question's "pinnedOptions" stay in place and the others are
+// shuffled around them. Answers are always graded and stored by these original
+// indices, whatever order they were shown in.
+export function shuffleOptionOrder(question, random = Math.random) {
+    const pinned = new Set(question.pinnedOptions || []);
+    question.options.forEach((option, index) => {
+        if (PINNED_OPTION_PATTERN.test(option)) pinned.add(index);
+    });
+
+    const order = question.options.map((option, index) => index);
+    const shuffled = shuffleArray(order.filter(index => !pinned.has(index)), random);
+    return order.map(index => (pinned.has(index) ? index : shuffled.shift()));
+}
+
+// Draw a set of questions, in random order, whose domains match the blueprint
+// weights as closely as the questions allow
+export function buildBlueprintQuestionSet(questions, count, blueprint = DEFAULT_BLUEPRINT, random = Math.random) {
+    const pools = new Map();
+    questions.forEach(q => {
+        const domain = getQuestionDomain(q, blueprint);
+        if (!pools.has(domain)) pools.set(domain, []);
+        pools.get(domain).push(q);
+    });
+    pools.forEach(pool => shuffleArray(pool, random));
+
+    // Take each domain's share first, then fill any remaining slots from
+    // whatever is left so small banks still produce a full set
+    const selected = [];
+    const quotas = getBlueprintQuotas(blueprint, count);
+    blueprint.forEach((domain, index) => {
+        const pool = pools.get(domain.name) || [];
+        selected.push(...pool.splice(0, quotas[index]));
+    });
+    const leftovers = shuffleArray(Array.from(pools.values()).flat(), random);
+    selected.push(...leftovers.slice(0, Math.max(0, count - selected.length)));
+
+    return shuffleArray(selected, random);
+}
+
+// Draw a set of multiple choice questions weighted by the blueprint domains
+export function buildExamQuestionSet(questions, count, blueprint = DEFAULT_BLUEPRINT, random = Math.random) {
+    return buildBlueprintQuestionSet(questions.filter(q => q.type === 'multiple-choice'), count, blueprint, random);
+}
+
+// Grade exam answers (arrays of selected indices, null when unanswered) overall
+// and per blueprint domain, and scale the score from 100 to 1000. An exam
+// without questions scores 0 and fails.
+export function scoreExam(questions, answers, passingScore, blueprint = DEFAULT_BLUEPRINT) {
+    const domainResults = new Map();
+    const results = questions.map((question, index) => {
+        const domain = getQuestionDomain(question, blueprint);
+        if (!domainResults.has(domain)) domainResults.set(domain, { correct: 0, total: 0 });
+
+        const result = domainResults.get(domain);
+        const isCorrect = answers[index] !== null && isAnswerCorrect(question, answers[index]);
+        result.total++;
+        if (isCorrect) result.correct++;
+        return isCorrect;
+    });
+
+    const correctCount = results.filter(Boolean).length;
+    const total = questions.length;
+    const scaledScore = total === 0 ? 0 : Math.round(100 + 900 * correctCount / total);
+    return { results, correctCount, total, scaledScore, passed: scaledScore >= passingScore, domainResults };
+}
+
+// Create a question engine.
+//
+// readManifest() must resolve to the parsed manifest and readQuestionFile(file) to
+// the parsed content of a question file. readErrata() resolves to the errata
+// applied to the questions (see applyErrata() in question-loader.mjs), none by
+// default. now() and random() can be replaced to make sessions reproducible.
+// Setting engine.optionSeed makes every question show its options in the same
+// shuffled order each time.
+export function createQuestionEngine({
+    readManifest,
+    readQuestionFile,
+    readErrata = async () => ({}),
+    storage = createMemoryStorage(),
+    now = () => Date.now(),
+    random = Math.random
+}) {
+    function load(key, fallback) {
+        try {
+            return JSON.parse(storage.getItem(STORAGE_KEYS[key])) || fallback;
+        } catch (error) {
+            console.error(`Error loading saved ${key}:`, error);
+            return fallback;
+        }
+    }
+
+    function save(key) {
+        try {
+            storage.setItem(STORAGE_KEYS[key], JSON.stringify(engine[key]));
+        } catch (error) {
+            console.error(`Error saving ${key}:`, error);
+        }
+    }
+
+    // Question files read so far, by name, so switching profiles doesn't read them
+    // again. A file that failed to load is read again the next time.
+    const fileReads = new Map();
+    function readFileOnce(file) {
+        if (!fileReads.has(file)) {
+            const read = Promise.resolve().then(() => readQuestionFile(file)).catch(error => {
+                fileReads.delete(file);
+                throw error;
+            });
+            fileReads.set(file, read);
+        }
+        return fileReads.get(file);
+    }
+
+    const attempts = load('attempts', []);
+    const engine = {
+        manifest: null,
+        errata: {}, // Corrections to questions by uid, read with the manifest
+        profiles: {}, // Profiles from the manifest
+        profileId: 'all', // Loaded profile
+        loading: null, // The profile load in progress, null once it is done
+        profileSessions: new Map(), // Sessions of the profiles switched away from, by profile id
+        files: [], // Question files of the loaded profile
+        questions: [], // All valid questions of the loaded profile, with errata applied
+        retired: [], // Uids of the loaded profile's questions retired by the errata
+        query: { ...EMPTY_QUERY },
+        filteredQuestions: [], // Questions matching the query
+        currentQuestion: null,
+        currentOptionOrder: null, // Display order of the current question's options
+        optionSeed: null, // Seed for option shuffling, null for a new order every time
+        questionShownAt: null, // When the current question was picked
+        questionCounter: 0, // Questions shown since the profile or query changed
+        answeredQuestions: new Set(), // Uids answered since the profile or query changed
+        practiceSet: null, // Questions of the active practice set, null when practicing freely
+        attempts, // Every answer ever given
+        schedule: load('schedule', {}), // Spaced-repetition state per question uid
+        notes: load('notes', {}), // Personal notes per question uid
+        reports: load('reports', []), // Issues reported on questions, oldest first
+        sessionStart: attempts.length, // Index of the first attempt made since the engine was created
+        sessionQuestions: new Map(), // Questions answered or flagged this session, by uid
+        flaggedQuestions: new Set(), // Uids flagged for review this session
+
+        // Read the manifest and its profiles, and the errata
+        async loadManifest() {
+            [engine.manifest, engine.errata] = await Promise.all([readManifest(), readErrata()]);
+            engine.profiles = engine.manifest.profiles || {};
+            return engine.manifest;
+        },
+
+        // Load the questions of a profile ('all' for every file in the manifest)
+        // with the errata applied. Files read before are reused and files that
+        // fail to load are left out. The session of the profile switched away from
+        // is kept and restored when switching back to it; other profiles start
+        // with no query.
+        //
+        // While a profile without a saved session loads, onProgress(result) is
+        // called each time a file arrives, with the questions so far already in
+        // engine.questions and engine.filteredQuestions, so they can be shown
+        // straight away. Resolves to the result of loadProfileQuestions() and
+        // whether the session was restored. A load overtaken by a newer one
+        // resolves with superseded: true and changes nothing more.
+        async loadProfile(profileId, onProgress = null) {
+            if (!engine.manifest) await engine.loadManifest();
+            const files = getProfileFiles(engine.manifest, profileId);
+
+            if (!engine.loading && engine.files.length > 0) {
+                engine.profileSessions.set(engine.profileId, engine.getSessionState());
+            }
+            const saved = engine.profileSessions.get(profileId);
+            const load = { profileId };
+            engine.loading = load;
+            engine.profileId = profileId;
+            engine.files = files;
+            engine.questions = [];
+            engine.retired = [];
+            engine.query = { ...EMPTY_QUERY };
+            engine.filteredQuestions = [];
+            engine.resetSession();
+
+            const update = result => {
+                engine.questions = result.questions;
+                engine.retired = result.retired;
+                engine.filteredQuestions = queryQuestions(result.questions, engine.query, getAnswerHistory(engine.attempts));
+            };
+            const result = await loadProfileQuestions(engine.manifest, profileId, readFileOnce, engine.errata, progress => {
+                if (engine.loading !== load || saved) return;
+                update(progress);
+                if (onProgress) onProgress(progress);
+            });
+            if (engine.loading !== load) return { ...result, restored: false, superseded: true };
+
+            engine.loading = null;
+            update(result);
+            if (saved) engine.restoreSession(saved);
+            return { ...result, restored: Boolean(saved), superseded: false };
+        },
+
+        // Drop a question file read before, e.g. an imported bank that changed, so
+        // the next load reads it again
+        forgetFile(file) {
+            fileReads.delete(file);
+        },
+
+        // The session of the loaded profile: the query, the questions shown and
+        // answered, the practice set and the current question
+        getSessionState() {
+            return {
+                query: { ...engine.query },
+                questionCounter: engine.questionCounter,
+                answeredQuestions: new Set(engine.answeredQuestions),
+                practiceSet: engine.practiceSet && engine.practiceSet.map(question => question.uid),
+                currentQuestion: engine.currentQuestion && engine.currentQuestion.uid,
+                currentOptionOrder: engine.currentOptionOrder
+            };
+        },
+
+        // Continue a session saved with getSessionState() over the loaded
+        // questions, leaving out questions that are no longer loaded
+        restoreSession(session) {
+            const byUid = new Map(engine.questions.map(question => [question.uid, question]));
+            engine.setQuery(session.query);
+            engine.questionCounter = session.questionCounter;
+            engine.answeredQuestions = new Set(session.answeredQuestions);
+            engine.practiceSet = session.practiceSet && session.practiceSet.map(uid => byUid.get(uid)).filter(Boolean);
+            engine.currentQuestion = byUid.get(session.currentQuestion) || null;
+            engine.currentOptionOrder = engine.currentQuestion ? session.currentOptionOrder : null;
+            engine.questionShownAt = now();
+        },
+
+        // All tags used by the loaded questions
+        getAvailableTags() {
+            const tags = new Set();
+            engine.questions.forEach(question => question.tags.forEach(tag => tags.add(tag)));
+            return tags;
+        },
+
+        // Filter the loaded questions and start over with the matching ones.
+        // Throws if the tag expression is invalid, leaving the filter unchanged.
+        setQuery(query) {
+            engine.filteredQuestions = queryQuestions(engine.questions, query, getAnswerHistory(engine.attempts));
+            engine.query = { ...query };
+            engine.resetSession();
+            return engine.filteredQuestions;
+        },
+
+        // Forget which questions were shown in this session and end any practice set
+        resetSession() {
+            engine.practiceSet = null;
+            engine.currentQuestion = null;
+            engine.currentOptionOrder = null;
+            engine.questionCounter = 0;
+            engine.answeredQuestions.clear();
+        },
+
+        // Pick the next question: reviews that are due first (most overdue first), then
+        // questions never seen before, then reviews coming up later today. Returns null
+        // when there is nothing left to study today. A practice set is shown in its
+        // own order and ends with null after its last question.
+        pickNextQuestion() {
+            if (engine.practiceSet) return engine.practiceSet[engine.questionCounter] || null;
+
+            const time = now();
+            const endOfToday = getEndOfDay(time);
+            const { filteredQuestions, schedule } = engine;
+
+            // Avoid showing the same question twice in a row when there is a choice
+            const candidates = filteredQuestions.length > 1
+                ? filteredQuestions.filter(q => q !== engine.currentQuestion)
+                : filteredQuestions;
+            const byDueDate = (a, b) => schedule[a.uid].due - schedule[b.uid].due;
+
+            const dueNow = candidates
+                .filter(q => schedule[q.uid] && schedule[q.uid].due <= time)
+                .sort(byDueDate);
+            if (dueNow.length > 0) return dueNow[0];
+
+            const newQuestions = candidates.filter(q => !schedule[q.uid] && !engine.answeredQuestions.has(q.uid));
+            if (newQuestions.length > 0) {
+                return newQuestions[Math.floor(random() * newQuestions.length)];
+            }
+
+            const dueLater = candidates
+                .filter(q => schedule[q.uid] && schedule[q.uid].due <= endOfToday)
+                .sort(byDueDate);
+            return dueLater.length > 0 ? dueLater[0] : null;
+        },
+
+        // Move on to the next question. Returns null when nothing is left for today.
+        nextQuestion() {
+            const question = engine.pickNextQuestion();
+            if (!question) return null;
+
+            engine.currentQuestion = question;
+            engine.currentOptionOrder = question.type === 'multiple-choice' ? engine.getOptionOrder(question) : null;
+            engine.questionShownAt = now();
+            engine.questionCounter++;
+            return question;
+        },
+
+        // Order to show the options of a multiple choice question in (see
+        // shuffleOptionOrder). With an optionSeed the order only depends on the
+        // seed and the question.
+        getOptionOrder(question) {
+            const optionRandom = engine.optionSeed === null ? random : createSeededRandom(`${engine.optionSeed}:${question.uid}`);
+            return shuffleOptionOrder(question, optionRandom);
+        },
+
+        // Due time of the earliest scheduled review among the filtered questions,
+        // or null when none of them has been reviewed yet
+        getNextReviewTime() {
+            const upcoming = engine.filteredQuestions
+                .filter(q => engine.schedule[q.uid])
+                .map(q => engine.schedule[q.uid].due);
+            return upcoming.length > 0 ? Math.min(...upcoming) : null;
+        },
+
+        // Session progress: questions shown, questions in the filter (or the
+        // practice set), reviews due by the end of today and questions not seen yet
+        getProgress() {
+            const endOfToday = getEndOfDay(now());
+            const questions = engine.practiceSet || engine.filteredQuestions;
+            const { schedule } = engine;
+            return {
+                position: engine.questionCounter,
+                total: questions.length,
+                dueToday: questions.filter(q => schedule[q.uid] && schedule[q.uid].due <= endOfToday).length,
+                newCount: questions.filter(q => !schedule[q.uid] && !engine.answeredQuestions.has(q.uid)).length
+            };
+        },
+
+        // Grade an answer to a multiple choice question, record it and schedule the
+        // next review. Returns whether it was correct and the correct indices.
+        answerQuestion(question, selectedIndices) {
+            const correct = isAnswerCorrect(question, selectedIndices);
+            engine.answeredQuestions.add(question.uid);
+            engine.recordAttempt(question, selectedIndices, correct, now() - engine.questionShownAt);
+            engine.scheduleReview(question, correct ? RECALL_GRADES.good : RECALL_GRADES.again);
+            return { correct, correctIndices: getCorrectIndices(question) };
+        },
+
+        // Record that the answer to an open-ended question was revealed, with the
+        // answer the user typed first, if any. It stays ungraded until the user
+        // rates their recall with rateRecall().
+        revealAnswer(question, typedAnswer = '') {
+            engine.answeredQuestions.add(question.uid);
+            engine.recordAttempt(question, null, null, now() - engine.questionShownAt);
+            if (typedAnswer.trim()) {
+                engine.attempts[engine.attempts.length - 1].typedAnswer = typedAnswer;
+                save('attempts');
+            }
+        },
+
+        // Grade the revealed answer of an open-ended question with a self-rated
+        // recall grade (a RECALL_GRADES key) and schedule the next review
+        rateRecall(question, grade) {
+            if (!(grade in RECALL_GRADES)) throw new Error(`Unknown recall grade ${grade}`);
+
+            const attempt = engine.attempts.filter(a => a.questionUid === question.uid).pop();
+            if (attempt && attempt.type === 'open-ended') {
+                attempt.grade = grade;
+                attempt.correct = RECALL_GRADES[grade] >= RECALLED_QUALITY;
+                save('attempts');
+            }
+            engine.scheduleReview(question, RECALL_GRADES[grade]);
+        },
+
+        // Record an answer. Correctness is null for open-ended questions until
+        // they are graded.
+        recordAttempt(question, selectedIndices, isCorrect, timeTaken, mode = 'practice') {
+            engine.sessionQuestions.set(question.uid, question);
+            engine.attempts.push({
+                questionUid: question.uid,
+                sourceFile: question.sourceFile,
+                profile: engine.profileId,
+                tags: question.tags,
+                type: question.type,
+                selectedIndices,
+                correct: isCorrect,
+                timestamp: now(),
+                timeTaken,
+                mode
+            });
+            save('attempts');
+        },
+
+        // Update a question's review schedule with an SM-2 quality score (0-5)
+        scheduleReview(question, quality) {
+            engine.schedule[question.uid] = updateReviewSchedule(engine.schedule[question.uid], quality, now());
+            save('schedule');
+        },
+
+        // Flag or unflag a question for review, or set the flag to force when
+        // given. Returns whether the question is now flagged.
+        toggleFlag(question, force = !engine.flaggedQuestions.has(question.uid)) {
+            if (force) {
+                engine.sessionQuestions.set(question.uid, question);
+                engine.flaggedQuestions.add(question.uid);
+            } else {
+                engine.flaggedQuestions.delete(question.uid);
+            }
+            return force;
+        },
+
+        // Every answer given this session, oldest first, with its question and
+        // whether the question is flagged, followed by the flagged questions
+        // that were skipped without an answer (attempt is null for those).
+        // filter is '' for all entries or one of REVIEW_FILTERS.
+        getSessionReview(filter = '') {
+            const attempts = engine.attempts.slice(engine.sessionStart)
+                .filter(attempt => engine.sessionQuestions.has(attempt.questionUid));
+            const answered = new Set(attempts.map(attempt => attempt.questionUid));
+            const unanswered = Array.from(engine.flaggedQuestions)
+                .filter(uid => engine.sessionQuestions.has(uid) && !answered.has(uid));
+
+            return [
+                ...attempts.map(attempt => ({
+                    question: engine.sessionQuestions.get(attempt.questionUid),
+                    attempt,
+                    flagged: engine.flaggedQuestions.has(attempt.questionUid)
+                })),
+                ...unanswered.map(uid => ({ question: engine.sessionQuestions.get(uid), attempt: null, flagged: true }))
+            ].filter(entry => {
+                if (filter === 'incorrect') return entry.attempt !== null && entry.attempt.correct === false;
+                if (filter === 'flagged') return entry.flagged;
+                return true;
+            });
+        },
+
+        // Get the personal note of a question, '' when there is none
+        getNote(question) {
+            return engine.notes[question.uid] || '';
+        },
+
+        // Save the personal note of a question. An empty note deletes it.
+        setNote(question, text) {
+            if (text.trim()) {
+                engine.notes[question.uid] = text;
+            } else {
+                delete engine.notes[question.uid];
+            }
+            save('notes');
+        },
+
+        // Report an issue with a question: one of the ISSUE_CATEGORIES keys and an
+        // optional comment. Reporting the same category again replaces the
+        // comment. Returns the report.
+        reportIssue(question, category, comment = '') {
+            if (!(category in ISSUE_CATEGORIES)) throw new Error(`Unknown issue category ${category}`);
+
+            const report = { questionUid: question.uid, category, comment: comment.trim(), timestamp: now() };
+            engine.reports = engine.reports
+                .filter(r => r.questionUid !== question.uid || r.category !== category)
+                .concat(report);
+            save('reports');
+            return report;
+        },
+
+        // Get the issues reported on a question
+        getReports(question) {
+            return engine.reports.filter(report => report.questionUid === question.uid);
+        },
+
+        // Get the mock exam settings of a profile
+        getExamSettings(profileId = engine.profileId) {
+            const profile = engine.profiles[profileId];
+            return { ...DEFAULT_EXAM_SETTINGS, ...(profile && profile.exam) };
+        },
+
+        // Get the exam blueprint of a profile
+        getBlueprint(profileId = engine.profileId) {
+            const profile = engine.profiles[profileId];
+            return (profile && profile.blueprint) || DEFAULT_BLUEPRINT;
+        },
+
+        // Start a practice set of up to count questions drawn from the filtered
+        // questions and balanced across the blueprint domains of the loaded
+        // profile. It lasts until the profile or query changes. Returns the set.
+        startPracticeSet(count) {
+            engine.resetSession();
+            engine.practiceSet = buildBlueprintQuestionSet(engine.filteredQuestions, count, engine.getBlueprint(), random);
+            return engine.practiceSet;
+        },
+
+        // Question counts per blueprint domain (see getBlueprintCoverage) of every
+        // profile in the manifest, so authors can see where a bank is thin. Each
+        // question file is read once. Rejects if a file fails to load.
+        async getCoverage() {
+            if (!engine.manifest) await engine.loadManifest();
+
+            const coverage = [];
+            for (const [profileId, profile] of Object.entries(engine.profiles)) {
+                const { questions, failed } = await loadProfileQuestions(engine.manifest, profileId, readFileOnce, engine.errata);
+                if (failed.length > 0) throw new Error(`Failed to load ${failed[0].file}: ${failed[0].message}`);
+                coverage.push({
+                    profileId,
+                    name: profile.name,
+                    total: questions.length,
+                    domains: getBlueprintCoverage(questions, engine.getBlueprint(profileId))
+                });
+            }
+            return coverage;
+        },
+
+        // Draw the questions for a mock exam of the loaded profile, with the
+        // display order of each question's options
+        buildExam() {
+            const settings = engine.getExamSettings();
+            const questions = buildExamQuestionSet(engine.questions, settings.questionCount, engine.getBlueprint(), random);
+            return { settings, questions, optionOrders: questions.map(engine.getOptionOrder) };
+        },
+
+        // Grade a finished mock exam, recording every answered question and
+        // scheduling its review. timeSpent holds the time spent per question.
+        submitExam(questions, answers, timeSpent, passingScore = engine.getExamSettings().passingScore) {
+            const score = scoreExam(questions, answers, passingScore, engine.getBlueprint());
+            questions.forEach((question, index) => {
+                if (answers[index] === null) return;
+                engine.recordAttempt(question, answers[index], score.results[index], timeSpent[index], 'exam');
+                engine.scheduleReview(question, score.results[index] ? RECALL_GRADES.good : RECALL_GRADES.again);
+            });
+            return score;
+        },
+
+        // Delete all recorded answers and review schedules. Notes are kept.
+        resetProgress() {
+            engine.attempts = [];
+            engine.schedule = {};
+            engine.sessionStart = 0;
+            save('attempts');
+            save('schedule');
+        }
+    };
+
+    return engine;
+}
@@ -0,0 +1,235 @@
+// Import of question banks written outside the repo, and export of questions
+// back to the JSON format of template.md. Supported import formats:
+//
+//     .json         An array of questions, exactly like the files in data/
+//     .csv          One question per row with a header row (see template.md)
+//     .tsv / .txt   Anki "Notes in Plain Text" export: front, back and tags
+//
+// Parsers only convert the file into question objects; validation is done by
+// prepareQuestions() in question-loader.mjs like for any other question file.
+
+export const IMPORT_FORMATS = {
+    json: ['.json'],
+    csv: ['.csv'],
+    anki: ['.tsv', '.txt']
+};
+
+// Separators in CSV cells that hold several values
+const CSV_LIST_SEPARATOR = '|';
+const CSV_COLUMNS = ['id', 'type', 'question', 'options', 'correct', 'explanation', 'answer', 'tags'];
+
+const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+const OPTION_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Work out the import format from a file name
+export function detectImportFormat(fileName) {
+    const name = fileName.toLowerCase();
+    const format = Object.keys(IMPORT_FORMATS).find(key => IMPORT_FORMATS[key].some(ext => name.endsWith(ext)));
+    if (!format) {
+        const extensions = Object.values(IMPORT_FORMATS).flat().join(', ');
+        throw new Error(`Unsupported file type, expected one of ${extensions}`);
+    }
+    return format;
+}
+
+// Split delimited text into rows of cells. Cells may be wrapped in double quotes
+// to contain the delimiter, line breaks or "" for a literal quote.
+export function parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) throw new Error('Unclosed quote in file');
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function splitList(value) {
+    return value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+// Turn answer letters such as "B" or "B, D" into option indices. Anything that is
+// not a letter is kept as is so validation reports it.
+function parseCorrectLetters(value) {
+    return value.split(/[\s,|]+/).filter(Boolean).map(letter => {
+        const index = OPTION_LETTERS.indexOf(letter.toUpperCase());
+        return letter.length === 1 && index !== -1 ? index : letter;
+    });
+}
+
+// Parse a CSV question bank with a header row naming the CSV_COLUMNS it uses
+export function parseCsvQuestions(text) {
+    const [header, ...rows] = parseDelimited(text.replace(/^\uFEFF/, ''), ',');
+    if (!header) throw new Error('CSV file is empty');
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const unknown = columns.filter(name => !CSV_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown CSV column(s) ${unknown.join(', ')}, expected ${CSV_COLUMNS.join(', ')}`);
+    }
+    if (!columns.includes('question')) throw new Error('CSV file needs a "question" column');
+
+    return rows.map((cells, index) => {
+        const row = {};
+        columns.forEach((name, i) => {
+            row[name] = (cells[i] || '').trim();
+        });
+
+        const options = splitList(row.options || '');
+        const question = {
+            id: row.id || `q${index + 1}`,
+            type: row.type || (options.length > 0 ? 'multiple-choice' : 'open-ended'),
+            question: row.question
+        };
+
+        if (question.type === 'multiple-choice') {
+            const correct = parseCorrectLetters(row.correct || '');
+            question.options = options;
+            if (correct.length > 1) {
+                question.correctIndices = correct;
+            } else if (correct.length === 1) {
+                question.correctIndex = correct[0];
+            }
+            question.explanation = row.explanation || '';
+        } else {
+            question.answer = row.answer || row.explanation || '';
+        }
+
+        question.tags = splitList(row.tags || '');
+        return question;
+    });
+}
+
+// Convert an Anki HTML field to plain text
+function stripHtml(html) {
+    return html
+        .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+// Parse an Anki "Notes in Plain Text" export into open-ended questions. The first
+// two note fields become the question and answer. Header lines such as
+// "#separator:tab", "#html:true" and "#tags column:3" are honored. Notes without
+// tags get defaultTag, since every question needs at least one tag.
+export function parseAnkiNotes(text, defaultTag) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const settings = {};
+    while (lines.length > 0 && lines[0].startsWith('#')) {
+        const match = lines.shift().match(/^#([^:]+):(.*)$/);
+        if (match) settings[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+
+    const separator = ANKI_SEPARATORS[(settings.separator || 'tab').toLowerCase()] || settings.separator;
+    const isHtml = settings.html === 'true';
+    const column = name => (settings[`${name} column`] ? Number(settings[`${name} column`]) - 1 : -1);
+    const guidColumn = column('guid');
+    const metaColumns = [guidColumn, column('notetype'), column('deck')];
+    let tagsColumn = column('tags');
+
+    const rows = parseDelimited(lines.join('\n'), separator);
+    // Older exports put the tags in a third column without saying so
+    if (tagsColumn === -1 && !settings['notetype column'] && rows.some(cells => cells.length === 3)) {
+        tagsColumn = 2;
+    }
+
+    return rows.map((cells, index) => {
+        const fields = cells.filter((_, i) => i !== tagsColumn && !metaColumns.includes(i));
+        const clean = value => (isHtml ? stripHtml(value || '') : (value || '').trim());
+        const tags = tagsColumn !== -1 && cells[tagsColumn]
+            ? cells[tagsColumn].split(/\s+/).filter(Boolean).map(tag => tag.replace(/_/g, ' '))
+            : [];
+
+        return {
+            id: guidColumn !== -1 && cells[guidColumn] ? cells[guidColumn] : `anki-${index + 1}`,
+            type: 'open-ended',
+            question: clean(fields[0]),
+            answer: clean(fields[1]),
+            tags: tags.length > 0 ? tags : [defaultTag]
+        };
+    });
+}
+
+// Parse an imported file into question objects. Throws if the file can't be read
+// as the format its extension promises.
+export function parseQuestionBank(fileName, text, defaultTag) {
+    const format = detectImportFormat(fileName);
+
+    if (format === 'json') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+    }
+    if (format === 'csv') return parseCsvQuestions(text);
+    return parseAnkiNotes(text, defaultTag);
+}
+
+// Strip the fields added while loading, including the flag marking questions
+// corrected by the errata, so questions can be written back to a question file
+export function toQuestionData(question) {
+    const data = { ...question };
+    delete data.sourceFile;
+    delete data.uid;
+    delete data.corrected;
+    return data;
+}
+
+// Serialize questions in the JSON format of template.md. Ids are only unique
+// within a file, so questions collected from several files get their file name
+// prefixed to ids that would otherwise clash.
+export function exportQuestionBank(questions) {
+    const idCounts = new Map();
+    questions.forEach(question => idCounts.set(question.id, (idCounts.get(question.id) || 0) + 1));
+
+    const data = questions.map(question => {
+        const exported = toQuestionData(question);
+        if (idCounts.get(question.id) > 1 && question.sourceFile) {
+            exported.id = `${question.sourceFile.replace(/(-questions)?\.json$/, '')}-${question.id}`;
+        }
+        return exported;
+    });
+
+    return `${JSON.stringify(data, null, 4)}\n`;
+}
@@ -0,0 +1,316 @@
+// Question bank loading shared by the web app (main.js) and the Node scripts.
+// Nothing in here touches the DOM or the file system: callers pass in a function
+// that reads a question file by name, e.g. with fetch() in the browser or fs in Node.
+
+export const QUESTION_TYPES = ['multiple-choice', 'open-ended'];
+
+// Questions whose texts share at least this fraction of words are reported as
+// near duplicates
+export const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+// Errata file next to the manifest, mapping question uids to corrections
+export const ERRATA_FILE = 'errata.json';
+
+// Fields of an erratum. The answer fields replace the question's own; "retired"
+// removes the question and "reason" documents the correction.
+const ERRATUM_ANSWER_FIELDS = ['correctIndex', 'correctIndices', 'explanation', 'answer'];
+const ERRATUM_FIELDS = [...ERRATUM_ANSWER_FIELDS, 'retired', 'reason'];
+const ERRATUM_TYPE_FIELDS = {
+    'multiple-choice': ['correctIndex', 'correctIndices', 'explanation'],
+    'open-ended': ['answer']
+};
+
+// Build the globally unique identity of a question from its file and id. Ids are
+// only unique within a file.
+export function getQuestionUid(file, id) {
+    return `${file}#${id}`;
+}
+
+// Get the correct option indices of a multiple choice question. Single-answer
+// questions use correctIndex, "Choose TWO/THREE" questions use correctIndices.
+export function getCorrectIndices(question) {
+    return Array.isArray(question.correctIndices) ? question.correctIndices : [question.correctIndex];
+}
+
+// Get the list of question files for a profile. 'all' uses the top-level files
+// list of the manifest.
+export function getProfileFiles(manifest, profileId) {
+    let files;
+
+    if (profileId === 'all') {
+        files = manifest.files;
+    } else if (manifest.profiles && manifest.profiles[profileId]) {
+        files = manifest.profiles[profileId].files;
+    } else {
+        throw new Error(`Profile ${profileId} not found`);
+    }
+
+    if (!Array.isArray(files) || files.length === 0) {
+        throw new Error('No question files found for selected profile');
+    }
+
+    return files;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+// Check a question against the schema documented in template.md. Returns a list
+// of problems, empty when the question is valid.
+export function validateQuestion(question) {
+    const errors = [];
+
+    if (question === null || typeof question !== 'object' || Array.isArray(question)) {
+        return ['question must be an object'];
+    }
+
+    if (!isNonEmptyString(question.id)) errors.push('missing "id"');
+    if (!QUESTION_TYPES.includes(question.type)) {
+        errors.push(`unknown type ${JSON.stringify(question.type)}, expected one of ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (!isNonEmptyString(question.question)) errors.push('missing "question" text');
+
+    if (!Array.isArray(question.tags) || question.tags.length === 0) {
+        errors.push('"tags" must be a non-empty array');
+    } else if (!question.tags.every(isNonEmptyString)) {
+        errors.push('"tags" must only contain non-empty strings');
+    }
+
+    if (question.type === 'multiple-choice') {
+        errors.push(...validateMultipleChoice(question));
+    } else if (question.type === 'open-ended') {
+        if (!isNonEmptyString(question.answer)) errors.push('missing "answer" text');
+    }
+
+    return errors;
+}
+
+function validateMultipleChoice(question) {
+    const errors = [];
+    const { options } = question;
+
+    if (!Array.isArray(options) || options.length < 2) {
+        return ['"options" must be an array of at least two options'];
+    }
+    if (!options.every(isNonEmptyString)) errors.push('"options" must only contain non-empty strings');
+    if (!isNonEmptyString(question.explanation)) errors.push('missing "explanation" text');
+
+    const inRange = index => Number.isInteger(index) && index >= 0 && index < options.length;
+    const range = `0-${options.length - 1}`;
+    const hasIndex = 'correctIndex' in question;
+    const hasIndices = 'correctIndices' in question;
+
+    if (hasIndex && hasIndices) {
+        errors.push('use either "correctIndex" or "correctIndices", not both');
+    } else if (hasIndices) {
+        const indices = question.correctIndices;
+        if (!Array.isArray(indices) || indices.length < 2) {
+            errors.push('"correctIndices" must list at least two options');
+        } else if (new Set(indices).size !== indices.length) {
+            errors.push('"correctIndices" contains duplicates');
+        } else {
+            indices.filter(index => !inRange(index)).forEach(index => {
+                errors.push(`correctIndices entry ${JSON.stringify(index)} is outside the options range (${range})`);
+            });
+        }
+    } else if (!hasIndex) {
+        errors.push('missing "correctIndex"');
+    } else if (!inRange(question.correctIndex)) {
+        errors.push(`correctIndex ${JSON.stringify(question.correctIndex)} is outside the options range (${range})`);
+    }
+
+    if ('pinnedOptions' in question) {
+        if (!Array.isArray(question.pinnedOptions)) {
+            errors.push('"pinnedOptions" must be an array of option indices');
+        } else {
+            question.pinnedOptions.filter(index => !inRange(index)).forEach(index => {
+                errors.push(`pinnedOptions entry ${JSON.stringify(index)} is outside the options range (${range})`);
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Validate the questions of one file and tag each valid one with its source file
+// and uid. Invalid questions are left out and reported as problems.
+export function prepareQuestions(data, file) {
+    const questions = [];
+    const problems = [];
+
+    if (!Array.isArray(data)) {
+        problems.push({ file, id: null, message: 'file must contain an array of questions' });
+        return { questions, problems };
+    }
+
+    const seenIds = new Set();
+    data.forEach((question, index) => {
+        const id = question && isNonEmptyString(question.id) ? question.id : `#${index + 1}`;
+        const errors = validateQuestion(question);
+
+        if (seenIds.has(id)) {
+            errors.push(`duplicate id "${id}" in ${file}`);
+        }
+        seenIds.add(id);
+
+        if (errors.length > 0) {
+            errors.forEach(message => problems.push({ file, id, message }));
+            return;
+        }
+
+        questions.push({ ...question, sourceFile: file, uid: getQuestionUid(file, question.id) });
+    });
+
+    return { questions, problems };
+}
+
+// Check the shape of one erratum. Returns a list of problems, empty when it is
+// valid. Whether its corrections fit the question is checked by applyErrata().
+export function validateErratum(erratum) {
+    if (erratum === null || typeof erratum !== 'object' || Array.isArray(erratum)) {
+        return ['erratum must be an object'];
+    }
+
+    const errors = Object.keys(erratum)
+        .filter(field => !ERRATUM_FIELDS.includes(field))
+        .map(field => `unknown erratum field "${field}"`);
+    if ('retired' in erratum && typeof erratum.retired !== 'boolean') errors.push('"retired" must be true or false');
+    if ('reason' in erratum && !isNonEmptyString(erratum.reason)) errors.push('"reason" must be a non-empty string');
+    if (!erratum.retired && !ERRATUM_ANSWER_FIELDS.some(field => field in erratum)) {
+        errors.push(`erratum must retire the question or correct one of ${ERRATUM_ANSWER_FIELDS.join(', ')}`);
+    }
+    return errors;
+}
+
+// Apply errata to prepared questions. errata maps question uids to corrections
+// (see template.md): retired questions are left out, and the other corrections
+// replace the question's answer or explanation. A correction that is malformed or
+// would make the question invalid is not applied and is reported as a problem.
+// Corrected questions are marked with corrected: true.
+export function applyErrata(questions, errata = {}) {
+    const corrected = [];
+    const retired = [];
+    const problems = [];
+
+    questions.forEach(question => {
+        const erratum = Object.hasOwn(errata, question.uid) ? errata[question.uid] : null;
+        if (!erratum) {
+            corrected.push(question);
+            return;
+        }
+
+        let errors = validateErratum(erratum);
+        if (errors.length === 0 && erratum.retired) {
+            retired.push(question.uid);
+            return;
+        }
+        ERRATUM_ANSWER_FIELDS
+            .filter(field => field in erratum && !ERRATUM_TYPE_FIELDS[question.type].includes(field))
+            .forEach(field => errors.push(`"${field}" does not apply to ${question.type} questions`));
+
+        const result = { ...question, corrected: true };
+        if ('correctIndex' in erratum || 'correctIndices' in erratum) {
+            delete result.correctIndex;
+            delete result.correctIndices;
+        }
+        ERRATUM_ANSWER_FIELDS
+            .filter(field => field in erratum)
+            .forEach(field => {
+                result[field] = erratum[field];
+            });
+        if (errors.length === 0) errors = validateQuestion(result);
+
+        if (errors.length > 0) {
+            errors.forEach(message => problems.push({ file: question.sourceFile, id: question.id, message: `erratum not applied: ${message}` }));
+            corrected.push(question);
+        } else {
+            corrected.push(result);
+        }
+    });
+
+    return { questions: corrected, retired, problems };
+}
+
+// Load every question file of a profile and apply the errata. Files are read in
+// parallel with readQuestionFile(file), which must resolve to the parsed JSON
+// content of the file. A file that fails to load is reported in "failed" and
+// the other files are still loaded. onProgress(result), if given, is called
+// each time a file has been read or has failed, with the result so far.
+// Resolves to the files, the valid questions in file order, the uids of retired
+// questions, the problems found, the files that failed with their error
+// messages and the number of files still pending (0 once done).
+export async function loadProfileQuestions(manifest, profileId, readQuestionFile, errata = {}, onProgress = null) {
+    const files = getProfileFiles(manifest, profileId);
+    const loaded = new Map();
+    const failed = new Map();
+
+    const getResult = () => {
+        const results = files.filter(file => loaded.has(file)).map(file => loaded.get(file));
+        return {
+            files,
+            questions: results.flatMap(result => result.questions),
+            retired: results.flatMap(result => result.retired),
+            problems: results.flatMap(result => result.problems),
+            failed: files.filter(file => failed.has(file)).map(file => ({ file, message: failed.get(file) })),
+            pending: files.length - loaded.size - failed.size
+        };
+    };
+
+    await Promise.all(files.map(async file => {
+        try {
+            const prepared = prepareQuestions(await readQuestionFile(file), file);
+            const { questions, retired, problems } = applyErrata(prepared.questions, errata);
+            loaded.set(file, { questions, retired, problems: [...prepared.problems, ...problems] });
+        } catch (error) {
+            failed.set(file, error.message);
+        }
+        if (onProgress) onProgress(getResult());
+    }));
+
+    return getResult();
+}
+
+// Normalize question text for duplicate detection
+export function normalizeQuestionText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Jaccard similarity of two word sets
+function wordSimilarity(wordsA, wordsB) {
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Find questions that share a uid, have identical text or have near-identical
+// text (at least NEAR_DUPLICATE_THRESHOLD word overlap)
+export function findDuplicateQuestions(questions) {
+    const duplicates = [];
+    const seenUids = new Map();
+    const words = questions.map(q => new Set(normalizeQuestionText(q.question).split(' ')));
+
+    questions.forEach((question, i) => {
+        if (seenUids.has(question.uid)) {
+            duplicates.push({ kind: 'duplicate id', first: seenUids.get(question.uid), second: question });
+        } else {
+            seenUids.set(question.uid, question);
+        }
+
+        for (let j = 0; j < i; j++) {
+            const other = questions[j];
+            if (other.uid === question.uid) continue;
+
+            const similarity = wordSimilarity(words[i], words[j]);
+            if (similarity === 1 && normalizeQuestionText(other.question) === normalizeQuestionText(question.question)) {
+                duplicates.push({ kind: 'duplicate', first: other, second: question, similarity });
+            } else if (similarity >= NEAR_DUPLICATE_THRESHOLD) {
+                duplicates.push({ kind: 'near duplicate', first: other, second: question, similarity });
+            }
+        }
+    });
+
+    return duplicates;
+}
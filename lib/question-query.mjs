@@ -0,0 +1,219 @@
+// Question queries: boolean tag expressions, full-text search and filters by
+// question type, source file and answer history. A query can be written to and
+// read from URL search parameters so a drill set can be shared as a link.
+//
+// Tag expressions combine tag names with AND, OR and NOT (upper case), e.g.
+// "Storage AND Cost Optimization NOT Database" or "(Security OR Compute) AND Serverless".
+// Tag names are matched case-insensitively and may contain spaces; wrap them in
+// double quotes if they contain a keyword or parentheses.
+
+export const HISTORY_FILTERS = ['wrong', 'unseen'];
+
+export const EMPTY_QUERY = {
+    tags: [], // Tags picked in the tag selector, matched with OR
+    expression: '', // Boolean tag expression
+    text: '', // Full-text search
+    type: '', // Question type
+    file: '', // Source file
+    history: '' // One of HISTORY_FILTERS
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+// Split an expression into parentheses, keywords and tag names. Consecutive
+// words that are not keywords form a single tag name.
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(\(|\)|"[^"]*"|[^\s()"]+)/g;
+    let match;
+    let term = null;
+
+    const endTerm = () => {
+        if (term !== null) tokens.push({ type: 'tag', value: term });
+        term = null;
+    };
+
+    while ((match = pattern.exec(expression)) !== null) {
+        const word = match[1];
+        if (word === '(' || word === ')' || KEYWORDS.includes(word)) {
+            endTerm();
+            tokens.push({ type: word });
+        } else if (word.startsWith('"')) {
+            endTerm();
+            tokens.push({ type: 'tag', value: word.slice(1, -1) });
+        } else {
+            term = term === null ? word : `${term} ${word}`;
+        }
+    }
+    endTerm();
+
+    if (expression.replace(/"[^"]*"/g, '').includes('"')) {
+        throw new Error('Unclosed quote in tag query');
+    }
+
+    return tokens;
+}
+
+// Parse a tag expression into a tree of { type: 'tag' | 'and' | 'or' | 'not' }
+// nodes. Returns null for an empty expression and throws on syntax errors.
+//
+// expression := and (OR and)*
+// and        := not ((AND | NOT) not)*     "A NOT B" means "A AND NOT B"
+// not        := NOT not | primary
+// primary    := tag | "(" expression ")"
+export function parseTagExpression(expression) {
+    const tokens = tokenize(expression || '');
+    if (tokens.length === 0) return null;
+
+    let position = 0;
+    const peek = () => tokens[position] && tokens[position].type;
+
+    function parseOr() {
+        let node = parseAnd();
+        while (peek() === 'OR') {
+            position++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseNot();
+        while (peek() === 'AND' || peek() === 'NOT') {
+            if (peek() === 'AND') position++;
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+
+    function parseNot() {
+        if (peek() === 'NOT') {
+            position++;
+            return { type: 'not', operand: parseNot() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) throw new Error('Tag query ends unexpectedly');
+
+        if (token.type === 'tag') return { type: 'tag', value: token.value.toLowerCase() };
+        if (token.type === '(') {
+            const node = parseOr();
+            if (peek() !== ')') throw new Error('Missing closing parenthesis in tag query');
+            position++;
+            return node;
+        }
+        throw new Error(`Unexpected ${token.type} in tag query`);
+    }
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected ${tokens[position].type === 'tag' ? `"${tokens[position].value}"` : tokens[position].type} in tag query`);
+    }
+    return tree;
+}
+
+// Check a parsed tag expression against a question's tags
+export function matchesTagExpression(tree, tags) {
+    if (tree === null) return true;
+
+    switch (tree.type) {
+        case 'tag':
+            return tags.some(tag => tag.toLowerCase() === tree.value);
+        case 'and':
+            return matchesTagExpression(tree.left, tags) && matchesTagExpression(tree.right, tags);
+        case 'or':
+            return matchesTagExpression(tree.left, tags) || matchesTagExpression(tree.right, tags);
+        case 'not':
+            return !matchesTagExpression(tree.operand, tags);
+        default:
+            throw new Error(`Unknown tag query node ${tree.type}`);
+    }
+}
+
+// Split search text into lower-case words and "quoted phrases"
+export function parseSearchText(text) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        terms.push((match[1] || match[2]).toLowerCase());
+    }
+    return terms;
+}
+
+// All searchable text of a question: question, options, explanation and answer
+function getSearchableText(question) {
+    return [question.question, ...(question.options || []), question.explanation, question.answer]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+}
+
+// Filter questions with a query. history maps question uids to the result of the
+// last attempt ('correct', 'wrong', or 'seen' for ungraded attempts) and is only
+// needed for history filters. Throws if the tag expression is invalid.
+export function queryQuestions(questions, query, history = new Map()) {
+    const tree = parseTagExpression(query.expression);
+    const terms = parseSearchText(query.text);
+    const selectedTags = query.tags || [];
+
+    return questions.filter(question => {
+        if (selectedTags.length > 0 && !selectedTags.some(tag => question.tags.includes(tag))) return false;
+        if (!matchesTagExpression(tree, question.tags)) return false;
+        if (query.type && question.type !== query.type) return false;
+        if (query.file && question.sourceFile !== query.file) return false;
+        if (query.history === 'wrong' && history.get(question.uid) !== 'wrong') return false;
+        if (query.history === 'unseen' && history.has(question.uid)) return false;
+
+        if (terms.length > 0) {
+            const text = getSearchableText(question);
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+
+        return true;
+    });
+}
+
+// Check whether a query filters anything
+export function isEmptyQuery(query) {
+    return Object.keys(EMPTY_QUERY).every(key => {
+        const value = query[key];
+        return Array.isArray(value) ? value.length === 0 : !value;
+    });
+}
+
+// Encode a profile and query as URL search parameters, leaving out empty fields.
+// Each tag gets its own "tag" parameter, since imported tags may contain commas.
+export function queryToParams(profileId, query) {
+    const params = new URLSearchParams();
+    if (profileId && profileId !== 'all') params.set('profile', profileId);
+    (query.tags || []).forEach(tag => params.append('tag', tag));
+    if (query.expression) params.set('q', query.expression);
+    if (query.text) params.set('text', query.text);
+    if (query.type) params.set('type', query.type);
+    if (query.file) params.set('file', query.file);
+    if (query.history) params.set('history', query.history);
+    return params;
+}
+
+// Decode a profile and query from URL search parameters. Links shared before
+// tags had their own parameters list them comma-separated in "tags".
+export function queryFromParams(params) {
+    const history = params.get('history') || '';
+    const legacyTags = params.get('tags') ? params.get('tags').split(',') : [];
+    return {
+        profile: params.get('profile') || 'all',
+        query: {
+            ...EMPTY_QUERY,
+            tags: [...params.getAll('tag'), ...legacyTags].filter(Boolean),
+            expression: params.get('q') || '',
+            text: params.get('text') || '',
+            type: params.get('type') || '',
+            file: params.get('file') || '',
+            history: HISTORY_FILTERS.includes(history) ? history : ''
+        }
+    };
+}
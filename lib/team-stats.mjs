@@ -0,0 +1,163 @@
+// Shared progress of a study team, kept by the sync server (scripts/server.mjs):
+// registered users, the attempts they upload, and the aggregate stats the app
+// shows for the team, namely accuracy per tag, the hardest questions and a
+// leaderboard of daily study streaks.
+//
+// The team data is a plain object the server stores as JSON:
+// { users: { [id]: { name, registeredAt } }, attempts: { [id]: [attempt] } }
+
+import { DAY_MS, summarizeAttempts } from './question-engine.mjs';
+
+// Attempt fields kept from uploads. Typed answers and selected options stay on
+// the user's device.
+export const ATTEMPT_FIELDS = ['questionUid', 'sourceFile', 'profile', 'tags', 'type', 'correct', 'timestamp', 'timeTaken', 'mode'];
+
+export const MAX_NAME_LENGTH = 40;
+
+export function createTeamData() {
+    return { users: {}, attempts: {} };
+}
+
+// Register a user under a display name. Names are unique, ignoring case.
+// Throws if the name is empty, too long or taken.
+export function registerUser(data, name, id, now = Date.now()) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new Error('Name is required');
+    if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+
+    const taken = Object.values(data.users).some(user => user.name.toLowerCase() === trimmed.toLowerCase());
+    if (taken) throw new Error(`The name ${trimmed} is already taken`);
+
+    data.users[id] = { name: trimmed, registeredAt: now };
+    data.attempts[id] = [];
+    return { id, name: trimmed };
+}
+
+// Keep the fields of an uploaded attempt that the team stats use. Returns null
+// for anything that is not an attempt.
+export function sanitizeAttempt(attempt) {
+    if (!attempt || typeof attempt.questionUid !== 'string' || !Number.isFinite(attempt.timestamp)) return null;
+    if (!Array.isArray(attempt.tags) || !attempt.tags.every(tag => typeof tag === 'string')) return null;
+    if (![true, false, null].includes(attempt.correct)) return null;
+
+    const sanitized = {};
+    ATTEMPT_FIELDS
+        .filter(field => attempt[field] !== undefined)
+        .forEach(field => {
+            sanitized[field] = attempt[field];
+        });
+    return sanitized;
+}
+
+// The request body the app sends to upload attempts. Only their shared fields
+// leave the device.
+export function createAttemptsUpload(attempts) {
+    return { attempts: attempts.map(sanitizeAttempt).filter(Boolean) };
+}
+
+// Add attempts uploaded by a user. An attempt is identified by its question uid
+// and timestamp, so uploading it again replaces it, e.g. once an open-ended
+// answer has been graded. Returns the number of valid attempts received.
+export function addAttempts(data, userId, attempts) {
+    if (!data.users[userId]) throw new Error(`User ${userId} is not registered`);
+
+    const userAttempts = data.attempts[userId];
+    const indexByKey = new Map(userAttempts.map((attempt, index) => [`${attempt.questionUid}@${attempt.timestamp}`, index]));
+    let received = 0;
+
+    attempts.map(sanitizeAttempt).filter(Boolean).forEach(attempt => {
+        const key = `${attempt.questionUid}@${attempt.timestamp}`;
+        if (indexByKey.has(key)) {
+            userAttempts[indexByKey.get(key)] = attempt;
+        } else {
+            indexByKey.set(key, userAttempts.length);
+            userAttempts.push(attempt);
+        }
+        received++;
+    });
+    return received;
+}
+
+function getAllAttempts(data) {
+    return Object.values(data.attempts).flat();
+}
+
+function getAccuracy(correct, total) {
+    return total === 0 ? null : correct / total;
+}
+
+// Team accuracy per tag, weakest first
+export function getTagAccuracy(data, now = Date.now()) {
+    return Array.from(summarizeAttempts(getAllAttempts(data), attempt => attempt.tags, now).entries())
+        .map(([tag, group]) => ({ tag, ...group, accuracy: getAccuracy(group.correct, group.total) }))
+        .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total);
+}
+
+// Questions with the lowest team accuracy, among those answered at least
+// minAttempts times, with the number of users who answered them
+export function getHardestQuestions(data, { limit = 10, minAttempts = 2 } = {}) {
+    const questions = new Map();
+    Object.entries(data.attempts).forEach(([userId, attempts]) => {
+        attempts.filter(attempt => attempt.correct !== null).forEach(attempt => {
+            if (!questions.has(attempt.questionUid)) {
+                questions.set(attempt.questionUid, {
+                    questionUid: attempt.questionUid,
+                    tags: attempt.tags,
+                    total: 0,
+                    correct: 0,
+                    users: new Set()
+                });
+            }
+            const question = questions.get(attempt.questionUid);
+            question.total++;
+            if (attempt.correct) question.correct++;
+            question.users.add(userId);
+        });
+    });
+
+    return Array.from(questions.values())
+        .filter(question => question.total >= minAttempts)
+        .map(({ users, ...question }) => ({ ...question, users: users.size, accuracy: getAccuracy(question.correct, question.total) }))
+        .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+        .slice(0, limit);
+}
+
+function getDayKey(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// Number of days in a row with at least one answer, counting back from today.
+// A streak that reached yesterday still counts until today is over.
+export function getStreak(timestamps, now = Date.now()) {
+    const days = new Set(timestamps.map(getDayKey));
+    const day = new Date(now);
+    if (!days.has(getDayKey(day.getTime()))) day.setDate(day.getDate() - 1);
+
+    let streak = 0;
+    while (days.has(getDayKey(day.getTime()))) {
+        streak++;
+        day.setDate(day.getDate() - 1);
+    }
+    return streak;
+}
+
+// Every user with their current streak, answers and accuracy in the last seven
+// days, longest streak first
+export function getLeaderboard(data, now = Date.now()) {
+    const weekAgo = now - 7 * DAY_MS;
+    return Object.entries(data.users)
+        .map(([userId, user]) => {
+            const attempts = data.attempts[userId] || [];
+            const recent = attempts.filter(attempt => attempt.timestamp >= weekAgo && attempt.correct !== null);
+            const recentCorrect = recent.filter(attempt => attempt.correct).length;
+            return {
+                name: user.name,
+                streak: getStreak(attempts.map(attempt => attempt.timestamp), now),
+                answered: attempts.length,
+                recentAccuracy: getAccuracy(recentCorrect, recent.length),
+                lastActive: attempts.reduce((latest, attempt) => Math.max(latest, attempt.timestamp), 0) || null
+            };
+        })
+        .sort((a, b) => b.streak - a.streak || b.answered - a.answered || a.name.localeCompare(b.name));
+}
@@ -1,22 +1,103 @@
+import {
+    createQuestionEngine,
+    ISSUE_CATEGORIES,
+    OTHER_DOMAIN,
+    REVIEW_FILTERS,
+    summarizeAttempts
+} from './lib/question-engine.mjs';
+import {
+    ERRATA_FILE,
+    getCorrectIndices,
+    prepareQuestions
+} from './lib/question-loader.mjs';
+import {
+    exportQuestionBank,
+    IMPORT_FORMATS,
+    parseQuestionBank,
+    toQuestionData
+} from './lib/question-import.mjs';
+import { getTermPattern, matchKeyTerms } from './lib/answer-keywords.mjs';
+import { renderInlineMarkdown, renderMarkdown } from './lib/markdown.mjs';
+import {
+    EMPTY_QUERY,
+    isEmptyQuery,
+    queryFromParams,
+    queryToParams
+} from './lib/question-query.mjs';
+import { createAttemptsUpload } from './lib/team-stats.mjs';
+
 document.addEventListener('DOMContentLoaded', () => {
-    // State management
+    // The question engine holds the loaded questions, the filtered set, the
+    // current question and the progress, persisted in localStorage. This file
+    // only renders it.
+    const engine = createQuestionEngine({
+        readManifest,
+        readQuestionFile,
+        readErrata,
+        storage: window.localStorage
+    });
+
+    // UI state
     const state = {
-        allQuestions: [],
-        filteredQuestions: [],
-        currentQuestionIndex: -1,
         selectedTags: new Set(),
-        availableTags: new Set(),
-        answeredQuestions: new Set(), // Track questions that have been answered
-        questionCounter: 0, // Track the sequential counter for questions
-        profiles: {}, // Available exam profiles
-        selectedProfile: 'all' // Currently selected profile
+        query: { ...EMPTY_QUERY }, // Advanced filters; tags come from selectedTags
+        availableTags: new Set(), // Tags of the loaded questions
+        customBanks: {}, // Imported question banks by profile id, persisted in localStorage
+        exam: null, // Active mock exam session, null when practicing
+        reviewFilter: '', // Filter of the session review, '' or one of REVIEW_FILTERS
+        reviewFromExam: false, // Whether the session review was opened from an exam report
+        installPrompt: null, // Deferred browser install prompt, set when the app can be installed
+        sync: { available: false, userId: null, name: '', uploaded: 0 }, // Team sync, persisted in localStorage
+        syncTimer: null // Pending upload of new attempts to the sync server
+    };
+
+    // localStorage keys for data persisted by the UI. The engine persists the
+    // attempts and review schedule itself.
+    const STORAGE_KEYS = {
+        banks: 'aws-exam-practice.banks',
+        sync: 'aws-exam-practice.sync'
+    };
+
+    // Imported question banks are profiles whose ids start with CUSTOM_PROFILE_PREFIX.
+    // Their questions are stored as if they were a file in CUSTOM_BANK_DIR, so
+    // question uids don't clash with the files in data/.
+    const CUSTOM_PROFILE_PREFIX = 'custom-';
+    const CUSTOM_BANK_DIR = 'custom/';
+    const MAX_IMPORT_PROBLEMS_SHOWN = 20;
+
+    // URL parameter with the seed for shuffling answer options
+    const OPTION_SEED_PARAM = 'seed';
+
+    // Suggested size of a practice set
+    const DEFAULT_PRACTICE_SET_SIZE = 20;
+
+    // Coverage table rows are highlighted as thin when a domain's share of the
+    // questions is below this fraction of its blueprint weight
+    const THIN_COVERAGE_RATIO = 0.75;
+
+    // Team sync with scripts/server.mjs. New attempts are uploaded in batches a
+    // moment after they are recorded, so a run of answers is sent together.
+    const SYNC_DELAY_MS = 2000;
+    const SYNC_BATCH_SIZE = 500;
+    const TEAM_HARDEST_LIMIT = 10;
+
+    // Labels of the session review filters
+    const REVIEW_FILTER_LABELS = {
+        '': 'All questions',
+        incorrect: 'Incorrect answers',
+        flagged: 'Flagged questions'
     };
 
+    // Keys that choose the n-th option of a multiple choice question
+    const OPTION_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+    const OPTION_LETTERS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
     // DOM elements
     const elements = {
         profileSelector: document.getElementById('profile-selector'),
         tagSearch: document.getElementById('tag-search'),
         tagSuggestions: document.getElementById('tag-suggestions'),
+        tagSearchWrapper: document.querySelector('.tag-search-wrapper'),
         selectedTagsContainer: document.getElementById('selected-tags-container'),
         clearFiltersBtn: document.getElementById('clear-filters'),
         nextQuestionBtn: document.getElementById('next-question'),
@@ -24,129 +105,323 @@ document.addEventListener('DOMContentLoaded', () => {
         questionText: document.getElementById('question-text'),
         multipleChoiceContainer: document.getElementById('multiple-choice-container'),
         optionsContainer: document.getElementById('options-container'),
+        selectionHint: document.getElementById('selection-hint'),
         submitAnswerBtn: document.getElementById('submit-answer'),
         feedback: document.getElementById('feedback'),
         openEndedContainer: document.getElementById('open-ended-container'),
         revealAnswerBtn: document.getElementById('reveal-answer'),
-        answerText: document.getElementById('answer-text')
+        answerText: document.getElementById('answer-text'),
+        typedAnswer: document.getElementById('typed-answer'),
+        answerComparison: document.getElementById('answer-comparison'),
+        typedAnswerPanel: document.getElementById('typed-answer-panel'),
+        typedAnswerText: document.getElementById('typed-answer-text'),
+        keyTermSummary: document.getElementById('key-term-summary'),
+        controls: document.getElementById('controls'),
+        questionContainer: document.getElementById('question-container'),
+        startExamBtn: document.getElementById('start-exam'),
+        practiceSetBtn: document.getElementById('practice-set'),
+        examBar: document.getElementById('exam-bar'),
+        examProgress: document.getElementById('exam-progress'),
+        examTimeRemaining: document.getElementById('exam-time-remaining'),
+        examNavigator: document.getElementById('exam-navigator'),
+        examPrevBtn: document.getElementById('exam-prev'),
+        examFlagBtn: document.getElementById('exam-flag'),
+        examNextBtn: document.getElementById('exam-next'),
+        examSubmitBtn: document.getElementById('exam-submit'),
+        examReport: document.getElementById('exam-report'),
+        recallRating: document.getElementById('recall-rating'),
+        showStatsBtn: document.getElementById('show-stats'),
+        statsPanel: document.getElementById('stats-panel'),
+        reviewSessionBtn: document.getElementById('review-session'),
+        reviewPanel: document.getElementById('review-panel'),
+        questionTools: document.getElementById('question-tools'),
+        flagQuestionBtn: document.getElementById('flag-question'),
+        questionNote: document.getElementById('question-note'),
+        questionNoteText: document.getElementById('question-note-text'),
+        reportIssue: document.getElementById('report-issue'),
+        reportCategory: document.getElementById('report-category'),
+        reportComment: document.getElementById('report-comment'),
+        submitReportBtn: document.getElementById('submit-report'),
+        reportStatus: document.getElementById('report-status'),
+        exportReportsBtn: document.getElementById('export-reports'),
+        queryExpression: document.getElementById('query-expression'),
+        textSearch: document.getElementById('text-search'),
+        typeFilter: document.getElementById('type-filter'),
+        fileFilter: document.getElementById('file-filter'),
+        historyFilter: document.getElementById('history-filter'),
+        queryError: document.getElementById('query-error'),
+        advancedFilters: document.getElementById('advanced-filters'),
+        copyQueryLinkBtn: document.getElementById('copy-query-link'),
+        importBankBtn: document.getElementById('import-bank'),
+        importFile: document.getElementById('import-file'),
+        importResult: document.getElementById('import-result'),
+        exportQuestionsBtn: document.getElementById('export-questions'),
+        deleteBankBtn: document.getElementById('delete-bank'),
+        offlineIndicator: document.getElementById('offline-indicator'),
+        loadWarnings: document.getElementById('load-warnings'),
+        installAppBtn: document.getElementById('install-app')
     };
 
     // Initialize the app
     async function init() {
-        await loadAllQuestions();
+        state.customBanks = loadCustomBanks();
+        initOfflineSupport();
+        
+        // Start from the profile and filters in the URL, if a link was shared. A
+        // seed in the URL keeps the option order of every question the same.
+        const params = new URLSearchParams(window.location.search);
+        const shared = queryFromParams(params);
+        engine.optionSeed = params.get(OPTION_SEED_PARAM);
         setupEventListeners();
         initTagSystem();
-        showNextQuestion();
+        await loadAllQuestions(shared.profile, shared.query);
+        initSync();
+    }
+
+    // Read the manifest, with the imported question banks added as profiles
+    async function readManifest() {
+        const manifestResponse = await fetch('data/manifest.json');
+        if (!manifestResponse.ok) throw new Error('Failed to access data manifest');
+        
+        const manifest = await manifestResponse.json();
+        return { ...manifest, profiles: { ...(manifest.profiles || {}), ...getCustomProfiles() } };
+    }
+
+    // Read the corrections to questions in data/errata.json. Without errata, or
+    // when they can't be read, the questions are shown as they are.
+    async function readErrata() {
+        try {
+            const response = await fetch(`data/${ERRATA_FILE}`);
+            if (response.status === 404) return {};
+            if (!response.ok) throw new Error(`Request failed with ${response.status}`);
+            return await response.json();
+        } catch (error) {
+            console.warn('Could not read the errata, questions are shown without corrections:', error);
+            return {};
+        }
     }
 
     // Load profiles and initialize profile selector
     async function loadProfiles() {
         try {
-            const manifestResponse = await fetch('data/manifest.json');
-            if (!manifestResponse.ok) throw new Error('Failed to access data manifest');
-            
-            const manifest = await manifestResponse.json();
-            state.profiles = manifest.profiles || {};
-            
-            // Populate profile selector
-            Object.entries(state.profiles).forEach(([profileId, profile]) => {
-                const option = document.createElement('option');
-                option.value = profileId;
-                option.textContent = profile.name;
-                elements.profileSelector.appendChild(option);
-            });
-            
-            return manifest;
+            await engine.loadManifest();
+            renderProfileOptions();
         } catch (error) {
             console.error('Error loading profiles:', error);
             throw error;
         }
     }
 
-    // Load questions based on selected profile
-    async function loadQuestionsForProfile(profileId, manifest) {
-        try {
-            let fileLinks;
-            
-            if (profileId === 'all') {
-                // Load all files if 'all' is selected
-                fileLinks = manifest.files;
-            } else if (state.profiles[profileId]) {
-                // Load files for specific profile
-                fileLinks = state.profiles[profileId].files;
+    // Fill the profile selector with the manifest profiles, followed by the
+    // imported question banks
+    function renderProfileOptions() {
+        elements.profileSelector.innerHTML = '<option value="all">All Questions</option>';
+        const customGroup = document.createElement('optgroup');
+        customGroup.label = 'My Question Banks';
+        
+        Object.entries(engine.profiles).forEach(([profileId, profile]) => {
+            const option = document.createElement('option');
+            option.value = profileId;
+            option.textContent = profile.name;
+            (profile.custom ? customGroup : elements.profileSelector).appendChild(option);
+        });
+        
+        if (customGroup.children.length > 0) {
+            elements.profileSelector.appendChild(customGroup);
+        }
+        elements.profileSelector.value = engine.profileId;
+    }
+
+    // Read a question file, from data/ or from an imported question bank
+    async function readQuestionFile(file) {
+        if (file.startsWith(CUSTOM_BANK_DIR)) {
+            const bank = Object.values(state.customBanks).find(b => b.file === file);
+            if (!bank) throw new Error(`Question bank ${file} not found`);
+            return bank.questions;
+        }
+        
+        const response = await fetch(`data/${file}`);
+        if (!response.ok) throw new Error(`Request failed with ${response.status}`);
+        return response.json();
+    }
+
+    // Load the questions of a profile and show them. The first questions are
+    // shown as soon as their file arrives, unless the profile's earlier session
+    // is continued or a query, e.g. from a shared link, has to be applied to all
+    // of them. Files that fail to load are listed in a warning banner.
+    async function loadQuestionsForProfile(profileId, query = EMPTY_QUERY) {
+        const applyQueryWhenLoaded = !isEmptyQuery(query);
+        
+        // Reset filters and clear the question of the previous profile
+        state.selectedTags.clear();
+        state.query = { ...EMPTY_QUERY };
+        renderLoadWarnings([]);
+        elements.questionText.textContent = 'Loading questions...';
+        elements.multipleChoiceContainer.classList.add('hidden');
+        elements.openEndedContainer.classList.add('hidden');
+        elements.questionTools.classList.add('hidden');
+        
+        const showLoadedQuestions = () => {
+            state.availableTags = engine.getAvailableTags();
+            renderSelectedTags();
+            renderQueryControls();
+            if (!engine.currentQuestion && !applyQueryWhenLoaded) {
+                showNextQuestion();
             } else {
-                throw new Error(`Profile ${profileId} not found`);
+                updateQuestionCounter();
             }
+        };
+        
+        try {
+            // Load all question files for the profile. Each question is tagged
+            // with its source file and a uid combining the file name and its id;
+            // questions that don't match the schema are skipped.
+            const result = await engine.loadProfile(profileId, showLoadedQuestions);
+            if (result.superseded) return;
+            const { files, retired, problems, failed, restored } = result;
             
-            console.log(`Loading questions for profile '${profileId}':`, fileLinks);
+            console.log(`Loaded questions for profile '${profileId}':`, files);
+            if (retired.length > 0) console.log(`Left out ${retired.length} question(s) retired in ${ERRATA_FILE}`);
+            failed.forEach(({ file, message }) => console.error(`Failed to load ${file}:`, message));
             
-            if (fileLinks.length === 0) {
-                throw new Error('No question files found for selected profile');
+            if (problems.length > 0) {
+                console.warn(`Skipped ${problems.length} invalid question(s) or correction(s), run 'make validate' for details:`);
+                problems.forEach(({ file, id, message }) => console.warn(`${file} ${id}: ${message}`));
             }
             
-            // Load all question files for the profile
-            const promises = fileLinks.map(async (file) => {
-                const response = await fetch(`data/${file}`);
-                if (!response.ok) throw new Error(`Failed to load ${file}`);
-                return response.json();
-            });
-            
-            const questionSets = await Promise.all(promises);
-            state.allQuestions = questionSets.flat();
-            
-            // Extract all unique tags
-            state.availableTags.clear();
-            state.allQuestions.forEach(question => {
-                question.tags.forEach(tag => state.availableTags.add(tag));
-            });
-            
-            // Reset filters and initialize filtered questions
-            state.selectedTags.clear();
-            state.filteredQuestions = [...state.allQuestions];
-            state.answeredQuestions.clear();
-            state.questionCounter = 0;
+            elements.deleteBankBtn.classList.toggle('hidden', !state.customBanks[profileId]);
+            renderLoadWarnings(failed);
             
-            // Update UI
-            renderSelectedTags();
-            updateQuestionCounter();
+            if (restored) {
+                // Continue where this profile was left, with its filters
+                state.availableTags = engine.getAvailableTags();
+                state.selectedTags = new Set(engine.query.tags);
+                state.query = { ...engine.query };
+                renderSelectedTags();
+                renderQueryControls();
+                showCurrentQuestion();
+            } else if (applyQueryWhenLoaded) {
+                state.availableTags = engine.getAvailableTags();
+                applyQuery(query);
+            } else {
+                showLoadedQuestions();
+            }
             
         } catch (error) {
             console.error('Error loading questions for profile:', error);
-            alert('Failed to load questions. Please check the console for details.');
+            alert(describeLoadError('load questions'));
         }
+        
+        // Show the profile that is actually loaded, also when loading failed
+        elements.profileSelector.value = engine.profileId;
+    }
+
+    // List the question files that failed to load, with buttons to load them
+    // again or dismiss the warning
+    function renderLoadWarnings(failed) {
+        elements.loadWarnings.innerHTML = '';
+        elements.loadWarnings.classList.toggle('hidden', failed.length === 0);
+        if (failed.length === 0) return;
+        
+        const message = document.createElement('p');
+        message.innerHTML = '<i class="fas fa-exclamation-triangle"></i> ';
+        message.append(navigator.onLine
+            ? `${failed.length} question file(s) could not be loaded, their questions are left out:`
+            : `${failed.length} question file(s) are not available offline yet, their questions are left out:`);
+        elements.loadWarnings.appendChild(message);
+        
+        const list = document.createElement('ul');
+        failed.forEach(({ file, message: error }) => {
+            const item = document.createElement('li');
+            item.textContent = `${file}: ${error}`;
+            list.appendChild(item);
+        });
+        elements.loadWarnings.appendChild(list);
+        
+        const retryButton = document.createElement('button');
+        retryButton.innerHTML = '<i class="fas fa-redo"></i> Try Again';
+        retryButton.addEventListener('click', () => loadQuestionsForProfile(engine.profileId));
+        const dismissButton = document.createElement('button');
+        dismissButton.classList.add('dismiss');
+        dismissButton.innerHTML = '<i class="fas fa-times"></i> Dismiss';
+        dismissButton.addEventListener('click', () => renderLoadWarnings([]));
+        elements.loadWarnings.append(retryButton, dismissButton);
     }
 
-    // Load all question files from data directory
-    async function loadAllQuestions() {
+    // Load the manifest and the questions of the given profile if it exists, with
+    // the given query
+    async function loadAllQuestions(profileId = 'all', query = EMPTY_QUERY) {
         try {
-            const manifest = await loadProfiles();
-            await loadQuestionsForProfile(state.selectedProfile, manifest);
+            await loadProfiles();
+            await loadQuestionsForProfile(engine.profiles[profileId] ? profileId : 'all', query);
         } catch (error) {
             console.error('Error loading questions:', error);
-            alert('Failed to load questions. Please check the console for details.');
+            alert(describeLoadError('load questions'));
+        }
+    }
+
+    // Register the service worker that caches the app and question bank for
+    // offline use, and keep the offline indicator and install button up to date
+    function initOfflineSupport() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        }
+        
+        const updateOfflineIndicator = () => {
+            elements.offlineIndicator.classList.toggle('hidden', navigator.onLine);
+        };
+        window.addEventListener('online', updateOfflineIndicator);
+        window.addEventListener('offline', updateOfflineIndicator);
+        updateOfflineIndicator();
+        
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            state.installPrompt = e;
+            elements.installAppBtn.classList.remove('hidden');
+        });
+        window.addEventListener('appinstalled', () => {
+            state.installPrompt = null;
+            elements.installAppBtn.classList.add('hidden');
+        });
+        elements.installAppBtn.addEventListener('click', async () => {
+            if (!state.installPrompt) return;
+            state.installPrompt.prompt();
+            await state.installPrompt.userChoice;
+            state.installPrompt = null;
+            elements.installAppBtn.classList.add('hidden');
+        });
+    }
+    
+    // Error message for a failed load, pointing out when the device is offline
+    function describeLoadError(action) {
+        if (!navigator.onLine) {
+            return `Failed to ${action} while offline. Question files are available offline once the app has been opened online.`;
+        }
+        return `Failed to ${action}. Please check the console for details.`;
+    }
+
+    // Switch to another profile and show its questions, continuing its session if
+    // it was loaded before. reloadProfiles reads the manifest again, for when the
+    // imported question banks have changed.
+    async function switchProfile(profileId, reloadProfiles = false) {
+        console.log(`Switching to profile: ${profileId}`);
+        
+        try {
+            if (reloadProfiles) await loadProfiles();
+            await loadQuestionsForProfile(profileId);
+            updateQueryUrl();
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            alert(describeLoadError('switch profile'));
         }
     }
 
     // Set up event listeners
     function setupEventListeners() {
         // Profile selector
-        elements.profileSelector.addEventListener('change', async (e) => {
-            state.selectedProfile = e.target.value;
-            console.log(`Switching to profile: ${state.selectedProfile}`);
-            
-            // Load manifest and questions for new profile
-            try {
-                const manifestResponse = await fetch('data/manifest.json');
-                if (!manifestResponse.ok) throw new Error('Failed to access data manifest');
-                const manifest = await manifestResponse.json();
-                
-                await loadQuestionsForProfile(state.selectedProfile, manifest);
-                showNextQuestion();
-            } catch (error) {
-                console.error('Error switching profile:', error);
-                alert('Failed to switch profile. Please check the console for details.');
-            }
-        });
+        elements.profileSelector.addEventListener('change', (e) => switchProfile(e.target.value));
         
         // Tag search input
         elements.tagSearch.addEventListener('input', (e) => {
@@ -164,6 +439,18 @@ document.addEventListener('DOMContentLoaded', () => {
         // We won't use blur to hide suggestions, only mouse clicks outside
         // This prevents the race condition between blur and tag click events
         
+        // Keyboard navigation of the suggestions
+        elements.tagSearch.addEventListener('keydown', handleTagSearchKeydown);
+        
+        // Keep focus in the search box while clicking suggestions, then close
+        // the suggestions when keyboard focus leaves the search and suggestions
+        elements.tagSuggestions.addEventListener('mousedown', (e) => e.preventDefault());
+        elements.tagSearchWrapper.addEventListener('focusout', (e) => {
+            if (!e.relatedTarget || !e.currentTarget.contains(e.relatedTarget)) {
+                hideTagSuggestions();
+            }
+        });
+        
         // Close suggestions when clicking outside
         document.addEventListener('mousedown', (e) => {
             // If click is outside the tag search and suggestions area
@@ -180,22 +467,96 @@ document.addEventListener('DOMContentLoaded', () => {
         // Clear filters button
         elements.clearFiltersBtn.addEventListener('click', () => {
             state.selectedTags.clear();
+            state.query = { ...EMPTY_QUERY };
             renderSelectedTags();
+            renderQueryControls();
             filterQuestions();
             elements.tagSearch.value = '';
         });
         
+        // Advanced filters, applied when a field is changed
+        [
+            [elements.queryExpression, 'expression'],
+            [elements.textSearch, 'text'],
+            [elements.typeFilter, 'type'],
+            [elements.fileFilter, 'file'],
+            [elements.historyFilter, 'history']
+        ].forEach(([control, field]) => {
+            control.addEventListener('change', () => {
+                state.query[field] = control.value.trim();
+                filterQuestions();
+            });
+        });
+        
+        elements.copyQueryLinkBtn.addEventListener('click', copyQueryLink);
+        
+        // Import, export and delete question banks
+        elements.importFile.accept = Object.values(IMPORT_FORMATS).flat().join(',');
+        elements.importBankBtn.addEventListener('click', () => elements.importFile.click());
+        elements.importFile.addEventListener('change', async () => {
+            const file = elements.importFile.files[0];
+            elements.importFile.value = '';
+            if (file) await importQuestionBank(file);
+        });
+        elements.exportQuestionsBtn.addEventListener('click', exportQuestions);
+        elements.deleteBankBtn.addEventListener('click', deleteCustomBank);
+        
+        // Keyboard shortcuts for answering questions
+        document.addEventListener('keydown', handleKeyboardShortcut);
+        
         // Submit answer button (for multiple choice)
         elements.submitAnswerBtn.addEventListener('click', checkAnswer);
         
         // We'll handle the reveal answer button in the displayOpenEndedQuestion function
         // because we need to mark the question as answered when it's revealed
+        
+        // Ctrl+Enter in the typed answer reveals the reference answer
+        elements.typedAnswer.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                elements.revealAnswerBtn.click();
+            }
+        });
+        
+        // Self-rated recall for open-ended questions
+        elements.recallRating.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => rateRecall(button));
+        });
+        
+        // Mock exam controls
+        elements.startExamBtn.addEventListener('click', startExam);
+        elements.examPrevBtn.addEventListener('click', () => goToExamQuestion(state.exam.currentIndex - 1));
+        elements.examNextBtn.addEventListener('click', () => goToExamQuestion(state.exam.currentIndex + 1));
+        elements.examFlagBtn.addEventListener('click', toggleExamFlag);
+        elements.examSubmitBtn.addEventListener('click', () => submitExam(false));
+        
+        // Blueprint-balanced practice sets
+        elements.practiceSetBtn.addEventListener('click', startPracticeSet);
+        
+        // Statistics panel
+        elements.showStatsBtn.addEventListener('click', showStats);
+        
+        // Session review, flags and notes
+        elements.reviewSessionBtn.addEventListener('click', () => showReview(false));
+        elements.flagQuestionBtn.addEventListener('click', toggleQuestionFlag);
+        elements.questionNoteText.addEventListener('input', () => {
+            engine.setNote(getDisplayedQuestion(), elements.questionNoteText.value);
+        });
+        
+        // Issue reports
+        Object.entries(ISSUE_CATEGORIES).forEach(([category, label]) => {
+            elements.reportCategory.appendChild(new Option(label, category));
+        });
+        elements.submitReportBtn.addEventListener('click', saveIssueReport);
+        elements.exportReportsBtn.addEventListener('click', exportIssueReports);
     }
 
     // Show tag suggestions based on search query with multi-select support
     function showTagSuggestions(searchQuery) {
         elements.tagSuggestions.innerHTML = '';
         elements.tagSuggestions.classList.remove('hidden');
+        elements.tagSearch.setAttribute('aria-expanded', 'true');
+        elements.tagSearch.removeAttribute('aria-activedescendant');
         
         // Filter tags based on search query (if provided)
         // When empty, show all tags (when clicked on the input)
@@ -218,13 +579,17 @@ document.addEventListener('DOMContentLoaded', () => {
         const tempSelectedTags = new Set();
         
         // Create suggestion elements
-        filteredTags.forEach(tag => {
+        filteredTags.forEach((tag, index) => {
             const suggestion = document.createElement('div');
             suggestion.classList.add('tag-suggestion');
+            suggestion.id = `tag-suggestion-${index}`;
+            suggestion.setAttribute('role', 'option');
+            suggestion.setAttribute('aria-selected', 'false');
             
             // Create checkbox for multi-select
             const checkbox = document.createElement('span');
             checkbox.classList.add('checkbox');
+            checkbox.setAttribute('aria-hidden', 'true');
             
             // Create tag text
             const tagText = document.createElement('span');
@@ -244,6 +609,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     suggestion.classList.add('selected');
                     tempSelectedTags.add(tag);
                 }
+                suggestion.setAttribute('aria-selected', String(suggestion.classList.contains('selected')));
             });
             
             elements.tagSuggestions.appendChild(suggestion);
@@ -252,10 +618,12 @@ document.addEventListener('DOMContentLoaded', () => {
         // Add action buttons for multi-select
         const actionsContainer = document.createElement('div');
         actionsContainer.classList.add('multi-select-actions');
+        actionsContainer.setAttribute('role', 'presentation');
         
         // Cancel button
         const cancelButton = document.createElement('button');
         cancelButton.textContent = 'Cancel';
+        cancelButton.classList.add('cancel');
         cancelButton.addEventListener('click', () => {
             hideTagSuggestions();
             elements.tagSearch.value = '';
@@ -291,6 +659,64 @@ document.addEventListener('DOMContentLoaded', () => {
     // Hide tag suggestions
     function hideTagSuggestions() {
         elements.tagSuggestions.classList.add('hidden');
+        elements.tagSearch.setAttribute('aria-expanded', 'false');
+        elements.tagSearch.removeAttribute('aria-activedescendant');
+    }
+
+    // Arrow keys move through the tag suggestions, Enter or Space toggles the
+    // highlighted tag (Enter applies the selection when no tag is highlighted)
+    // and Escape cancels
+    function handleTagSearchKeydown(e) {
+        const suggestions = Array.from(elements.tagSuggestions.querySelectorAll('.tag-suggestion[role="option"]'));
+        const activeIndex = suggestions.findIndex(suggestion => suggestion.classList.contains('active'));
+        const isOpen = !elements.tagSuggestions.classList.contains('hidden');
+        
+        const setActive = (index) => {
+            suggestions.forEach(suggestion => suggestion.classList.remove('active'));
+            if (index < 0) {
+                elements.tagSearch.removeAttribute('aria-activedescendant');
+                return;
+            }
+            suggestions[index].classList.add('active');
+            suggestions[index].scrollIntoView({ block: 'nearest' });
+            elements.tagSearch.setAttribute('aria-activedescendant', suggestions[index].id);
+        };
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) {
+                    showTagSuggestions(elements.tagSearch.value.trim());
+                    return handleTagSearchKeydown(e);
+                }
+                if (suggestions.length > 0) setActive((activeIndex + 1) % suggestions.length);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                if (suggestions.length > 0) setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+                break;
+            case 'Enter':
+                if (!isOpen) return;
+                e.preventDefault();
+                if (activeIndex >= 0) {
+                    suggestions[activeIndex].click();
+                } else {
+                    const applyButton = elements.tagSuggestions.querySelector('.multi-select-actions .apply');
+                    if (applyButton) applyButton.click();
+                }
+                break;
+            case ' ':
+                if (activeIndex < 0) return;
+                e.preventDefault();
+                suggestions[activeIndex].click();
+                break;
+            case 'Escape':
+                if (!isOpen) return;
+                e.preventDefault();
+                hideTagSuggestions();
+                elements.tagSearch.value = '';
+                break;
+        }
     }
     
     // Render selected tags
@@ -304,13 +730,25 @@ document.addEventListener('DOMContentLoaded', () => {
         Array.from(state.selectedTags).sort().forEach(tag => {
             const tagElement = document.createElement('span');
             tagElement.classList.add('tag', 'selected');
+            tagElement.setAttribute('role', 'button');
+            tagElement.setAttribute('tabindex', '0');
+            tagElement.setAttribute('aria-label', `Remove tag ${tag}`);
             
-            // Create tag content with remove icon
-            tagElement.innerHTML = `${tag} <i class="fas fa-times-circle"></i>`;
+            // Tag name as text, since imported banks can bring any tag, and a remove icon
+            const removeIcon = document.createElement('i');
+            removeIcon.classList.add('fas', 'fa-times-circle');
+            removeIcon.setAttribute('aria-hidden', 'true');
+            tagElement.append(`${tag} `, removeIcon);
             
             tagElement.addEventListener('click', () => {
                 toggleTag(tag);
             });
+            tagElement.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggleTag(tag);
+                }
+            });
             
             elements.selectedTagsContainer.appendChild(tagElement);
         });
@@ -333,101 +771,306 @@ document.addEventListener('DOMContentLoaded', () => {
         renderSelectedTags();
     }
 
-    // Filter questions based on selected tags
+    // Filter questions based on selected tags (OR logic) and the advanced filters.
+    // Returns false if the query is invalid.
     function filterQuestions() {
-        if (state.selectedTags.size === 0) {
-            // If no tags selected, show all questions
-            state.filteredQuestions = [...state.allQuestions];
-        } else {
-            // Filter questions that match ANY selected tag (OR logic)
-            state.filteredQuestions = state.allQuestions.filter(question => {
-                return Array.from(state.selectedTags).some(tag => question.tags.includes(tag));
-            });
+        try {
+            engine.setQuery(getActiveQuery());
+            elements.queryError.classList.add('hidden');
+        } catch (error) {
+            // Invalid tag query: keep the current questions and explain the problem
+            elements.queryError.textContent = error.message;
+            elements.queryError.classList.remove('hidden');
+            return false;
         }
         
-        // Reset current question index and question counter
-        state.currentQuestionIndex = -1;
-        state.questionCounter = 0;
-        
-        // Clear answered questions when filters change
-        state.answeredQuestions.clear();
+        updateQueryUrl();
         
         // Show the next question with the new filters
         showNextQuestion();
+        return true;
+    }
+
+    // Get the full active query, including the tags picked in the tag selector
+    function getActiveQuery() {
+        return { ...state.query, tags: Array.from(state.selectedTags).sort() };
+    }
+
+    // Apply a query, e.g. one from a shared link, and show matching questions
+    function applyQuery(query) {
+        state.selectedTags = new Set(query.tags.filter(tag => state.availableTags.has(tag)));
+        state.query = { ...query, file: engine.files.includes(query.file) ? query.file : '' };
+        renderSelectedTags();
+        renderQueryControls();
+        
+        // An invalid shared query leaves all questions selected
+        if (!filterQuestions()) {
+            showNextQuestion();
+        }
+    }
+
+    // Show the advanced filter values and the profile's files
+    function renderQueryControls() {
+        elements.fileFilter.innerHTML = '<option value="">Any file</option>';
+        engine.files.forEach(file => {
+            const option = document.createElement('option');
+            option.value = file;
+            option.textContent = file;
+            elements.fileFilter.appendChild(option);
+        });
+        
+        elements.queryExpression.value = state.query.expression;
+        elements.textSearch.value = state.query.text;
+        elements.typeFilter.value = state.query.type;
+        elements.fileFilter.value = state.query.file;
+        elements.historyFilter.value = state.query.history;
+        elements.queryError.classList.add('hidden');
+        
+        // Keep the panel open when a shared link uses it
+        if (state.query.expression || state.query.text || state.query.type || state.query.file || state.query.history) {
+            elements.advancedFilters.open = true;
+        }
+    }
+
+    // Keep the URL in sync with the profile and filters so it can be shared
+    function updateQueryUrl() {
+        const searchParams = queryToParams(engine.profileId, getActiveQuery());
+        if (engine.optionSeed !== null) searchParams.set(OPTION_SEED_PARAM, engine.optionSeed);
+        
+        const params = searchParams.toString();
+        const url = `${window.location.pathname}${params ? `?${params}` : ''}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
+    }
+
+    // Copy a link to the current profile and filters to the clipboard
+    async function copyQueryLink() {
+        updateQueryUrl();
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            elements.copyQueryLinkBtn.innerHTML = '<i class="fas fa-check"></i> Link Copied';
+        } catch (error) {
+            console.error('Error copying link:', error);
+            prompt('Copy this link:', window.location.href);
+        }
+        setTimeout(() => {
+            elements.copyQueryLinkBtn.innerHTML = '<i class="fas fa-link"></i> Copy Link to This Drill';
+        }, 2000);
     }
 
-    // Show the next random question
+    // Show the next question from the spaced-repetition queue
     function showNextQuestion() {
-        if (state.filteredQuestions.length === 0) {
+        if (engine.filteredQuestions.length === 0) {
             elements.questionText.textContent = 'No questions available with the selected filters.';
             elements.multipleChoiceContainer.classList.add('hidden');
             elements.openEndedContainer.classList.add('hidden');
+            elements.questionTools.classList.add('hidden');
             updateQuestionCounter();
             return;
         }
         
         resetQuestionDisplay();
         
-        // Get unanswered questions
-        const unansweredQuestions = state.filteredQuestions.filter((q, index) => 
-            !state.answeredQuestions.has(q.id));
-            
-        // If all questions have been answered, show message
-        if (unansweredQuestions.length === 0) {
-            elements.questionText.textContent = 'You have answered all available questions! Refresh the page to start over.';
+        const question = engine.nextQuestion();
+        
+        // If nothing is due and there are no new questions, show when to come back
+        if (!question) {
+            elements.questionText.textContent = getCaughtUpMessage();
             elements.multipleChoiceContainer.classList.add('hidden');
             elements.openEndedContainer.classList.add('hidden');
+            elements.questionTools.classList.add('hidden');
             updateQuestionCounter();
+            
+            // A finished practice set gives way to regular practice on the next click
+            if (engine.practiceSet) engine.resetSession();
             return;
         }
         
-        // Choose a random question from the unanswered filtered list
-        const randomIndex = Math.floor(Math.random() * unansweredQuestions.length);
-        const selectedQuestion = unansweredQuestions[randomIndex];
-        
-        // Find the index of this question in the filteredQuestions array
-        state.currentQuestionIndex = state.filteredQuestions.findIndex(q => q.id === selectedQuestion.id);
-        
-        const question = state.filteredQuestions[state.currentQuestionIndex];
-        elements.questionText.textContent = question.question;
+        displayQuestion(question);
+    }
+
+    // Show the question that was on screen again, e.g. when switching back to a
+    // profile, or the next one if it has been answered
+    function showCurrentQuestion() {
+        const question = engine.currentQuestion;
+        if (!question || engine.answeredQuestions.has(question.uid) || !engine.filteredQuestions.includes(question)) {
+            showNextQuestion();
+            return;
+        }
         
-        // Increment question counter when showing a new question
-        state.questionCounter++;
+        resetQuestionDisplay();
+        displayQuestion(question);
+    }
+
+    // Show a practice question with its options in the engine's current order
+    function displayQuestion(question) {
+        elements.questionText.innerHTML = renderMarkdown(question.question);
         
         if (question.type === 'multiple-choice') {
-            displayMultipleChoiceQuestion(question);
+            displayMultipleChoiceQuestion(question, engine.currentOptionOrder);
         } else if (question.type === 'open-ended') {
             displayOpenEndedQuestion(question);
         }
         
+        renderQuestionTools(question);
         updateQuestionCounter();
     }
 
-    // Display a multiple choice question
-    function displayMultipleChoiceQuestion(question) {
+    // The question on screen, in practice or in a mock exam
+    function getDisplayedQuestion() {
+        return state.exam ? state.exam.questions[state.exam.currentIndex] : engine.currentQuestion;
+    }
+
+    // Show the flag button and the saved note of a question. Mock exams have
+    // their own flag button.
+    function renderQuestionTools(question) {
+        elements.questionTools.classList.remove('hidden');
+        elements.flagQuestionBtn.classList.toggle('hidden', Boolean(state.exam));
+        renderFlagButton(elements.flagQuestionBtn, engine.flaggedQuestions.has(question.uid));
+        
+        const note = engine.getNote(question);
+        elements.questionNoteText.value = note;
+        elements.questionNote.open = note !== '';
+        
+        elements.reportIssue.open = false;
+        elements.reportComment.value = '';
+        renderReportStatus(question);
+    }
+
+    // List the issues reported on a question and count all reports for export
+    function renderReportStatus(question) {
+        const reports = engine.getReports(question);
+        elements.reportStatus.classList.toggle('hidden', reports.length === 0);
+        elements.reportStatus.textContent = `Reported: ${reports.map(report => ISSUE_CATEGORIES[report.category]).join(', ')}`;
+        elements.exportReportsBtn.disabled = engine.reports.length === 0;
+        elements.exportReportsBtn.innerHTML = `<i class="fas fa-file-export"></i> Export Reports (${engine.reports.length})`;
+    }
+
+    // Save a report of an issue with the displayed question
+    function saveIssueReport() {
+        const question = getDisplayedQuestion();
+        if (!question) return;
+        
+        engine.reportIssue(question, elements.reportCategory.value, elements.reportComment.value);
+        elements.reportComment.value = '';
+        renderReportStatus(question);
+    }
+
+    // Show whether a question is flagged on a flag button
+    function renderFlagButton(button, flagged) {
+        button.classList.toggle('flagged', flagged);
+        button.setAttribute('aria-pressed', String(flagged));
+        button.innerHTML = flagged ? '<i class="fas fa-flag"></i> Flagged' : '<i class="fas fa-flag"></i> Flag for Review';
+    }
+
+    // Flag or unflag the current practice question for the session review
+    function toggleQuestionFlag() {
+        const question = engine.currentQuestion;
+        if (!question) return;
+        renderFlagButton(elements.flagQuestionBtn, engine.toggleFlag(question));
+    }
+
+    // Display a multiple choice question with its options in optionOrder (a list
+    // of option indices). Each option element keeps its original index, so the
+    // selection is always in original indices. The optional selectedIndices
+    // preselect options and onSelect is called with the selected indices whenever
+    // the selection changes.
+    function displayMultipleChoiceQuestion(question, optionOrder, selectedIndices = [], onSelect = null) {
         elements.multipleChoiceContainer.classList.remove('hidden');
         elements.openEndedContainer.classList.add('hidden');
         
+        // "Choose TWO/THREE" questions allow exactly that many selections
+        const requiredCount = getCorrectIndices(question).length;
+        const isMultiSelect = requiredCount > 1;
+        elements.selectionHint.classList.toggle('hidden', !isMultiSelect);
+        elements.selectionHint.textContent = isMultiSelect ? `Select ${requiredCount} options.` : '';
+        elements.optionsContainer.classList.toggle('multi-select', isMultiSelect);
+        elements.optionsContainer.setAttribute('role', isMultiSelect ? 'group' : 'radiogroup');
+        
         // Populate options
         elements.optionsContainer.innerHTML = '';
-        question.options.forEach((option, index) => {
+        optionOrder.forEach((index, position) => {
             const optionElement = document.createElement('div');
             optionElement.classList.add('option');
             optionElement.dataset.index = index;
-            optionElement.textContent = option;
+            optionElement.innerHTML = renderInlineMarkdown(question.options[index]);
+            optionElement.setAttribute('role', isMultiSelect ? 'checkbox' : 'radio');
+            
+            if (selectedIndices && selectedIndices.includes(index)) {
+                optionElement.classList.add('selected');
+            }
             
             optionElement.addEventListener('click', () => {
-                // Deselect all options
-                document.querySelectorAll('.option').forEach(el => {
-                    el.classList.remove('selected');
-                });
+                if (isOptionSelectionLocked()) return;
                 
-                // Select this option
-                optionElement.classList.add('selected');
+                if (isMultiSelect) {
+                    // Toggle this option, unless that would exceed the required count
+                    const selectedCount = document.querySelectorAll('.option.selected').length;
+                    if (optionElement.classList.contains('selected')) {
+                        optionElement.classList.remove('selected');
+                    } else if (selectedCount < requiredCount) {
+                        optionElement.classList.add('selected');
+                    }
+                } else {
+                    // Deselect all options
+                    document.querySelectorAll('.option').forEach(el => {
+                        el.classList.remove('selected');
+                    });
+                    
+                    // Select this option
+                    optionElement.classList.add('selected');
+                }
+                
+                updateOptionStates();
+                if (onSelect) {
+                    onSelect(getSelectedIndices());
+                }
+            });
+            
+            // Space selects the focused option; arrow keys move between options
+            // and, like native radio buttons, select single-answer options
+            optionElement.addEventListener('keydown', (e) => {
+                const options = Array.from(document.querySelectorAll('.option'));
+                let target = null;
+                
+                if (e.key === ' ') {
+                    e.preventDefault();
+                    optionElement.click();
+                } else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+                    target = options[(position + 1) % options.length];
+                } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+                    target = options[(position - 1 + options.length) % options.length];
+                }
+                
+                if (target) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    target.focus();
+                    if (!isMultiSelect) target.click();
+                }
             });
             
             elements.optionsContainer.appendChild(optionElement);
         });
+        
+        updateOptionStates();
+    }
+
+    // Sync the ARIA state of the options with their selection. Single-answer
+    // options use a roving tabindex so Tab moves past the group in one step.
+    function updateOptionStates() {
+        const options = Array.from(document.querySelectorAll('.option'));
+        const isRadio = elements.optionsContainer.getAttribute('role') === 'radiogroup';
+        const focusable = options.find(option => option.classList.contains('selected')) || options[0];
+        
+        options.forEach(option => {
+            option.setAttribute('aria-checked', String(option.classList.contains('selected')));
+            option.tabIndex = !isRadio || option === focusable ? 0 : -1;
+        });
+    }
+
+    // Options can't be changed once a practice answer has been submitted
+    function isOptionSelectionLocked() {
+        return !state.exam && elements.submitAnswerBtn.disabled;
     }
 
     // Display an open-ended question
@@ -436,33 +1079,102 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.openEndedContainer.classList.remove('hidden');
         
         // Set the answer text but keep it hidden until revealed
-        elements.answerText.textContent = question.answer;
+        elements.answerText.innerHTML = renderMarkdown(question.answer);
         elements.answerText.classList.add('hidden');
         elements.revealAnswerBtn.disabled = false;
+        elements.typedAnswer.value = '';
+        elements.typedAnswer.classList.remove('hidden');
         
         // Add event listener to mark as answered when revealing answer
         elements.revealAnswerBtn.onclick = () => {
+            const typedAnswer = elements.typedAnswer.value;
             elements.answerText.classList.remove('hidden');
             elements.revealAnswerBtn.disabled = true;
             // Mark this question as answered
-            state.answeredQuestions.add(question.id);
+            engine.revealAnswer(question, typedAnswer);
+            scheduleSync();
+            if (typedAnswer.trim()) showAnswerComparison(question, typedAnswer);
+            
+            // Ask the user to grade their answer to schedule the next review
+            elements.recallRating.classList.remove('hidden');
         };
     }
+    
+    // Show the typed answer next to the reference answer, with the key terms of
+    // the reference highlighted as matched or missed
+    function showAnswerComparison(question, typedAnswer) {
+        const results = matchKeyTerms(question.answer, typedAnswer);
+        const matched = results.filter(result => result.matched);
+        
+        elements.typedAnswerText.textContent = typedAnswer;
+        highlightKeyTerms(elements.typedAnswerText, matched);
+        highlightKeyTerms(elements.answerText, results);
+        elements.typedAnswer.classList.add('hidden');
+        elements.typedAnswerPanel.classList.remove('hidden');
+        elements.answerComparison.classList.add('side-by-side');
+        
+        elements.keyTermSummary.textContent = `You mentioned ${matched.length} of ${results.length} key terms from the reference answer.`;
+        elements.keyTermSummary.classList.toggle('hidden', results.length === 0);
+    }
+    
+    // Wrap the key terms found in an element's text in <mark> elements, marked as
+    // matched or missed (results from matchKeyTerms)
+    function highlightKeyTerms(element, results) {
+        if (results.length === 0) return;
+        
+        // Longer terms first, so "S3 Glacier" is marked rather than "S3"
+        const sorted = [...results].sort((a, b) => b.term.length - a.term.length);
+        const pattern = new RegExp(sorted.map(result => getTermPattern(result.term).source).join('|'), 'gi');
+        
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+        
+        textNodes.forEach(node => {
+            const text = node.textContent;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            for (const match of text.matchAll(pattern)) {
+                const result = sorted.find(r => getTermPattern(r.term).test(match[0]));
+                const mark = document.createElement('mark');
+                mark.classList.add('key-term', result.matched ? 'matched' : 'missed');
+                mark.title = result.matched ? 'In your answer' : 'Missing from your answer';
+                mark.textContent = match[0];
+                fragment.append(text.slice(last, match.index), mark);
+                last = match.index + match[0].length;
+            }
+            if (last === 0) return;
+            
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        });
+    }
+
+    // Get the indices of the currently selected options
+    function getSelectedIndices() {
+        return Array.from(document.querySelectorAll('.option.selected'))
+            .map(option => parseInt(option.dataset.index));
+    }
 
     // Check the answer for a multiple choice question
     function checkAnswer() {
-        const selectedOption = document.querySelector('.option.selected');
-        if (!selectedOption) {
+        const question = engine.currentQuestion;
+        const selectedIndices = getSelectedIndices();
+        const correctIndices = getCorrectIndices(question);
+        
+        if (selectedIndices.length === 0) {
             alert('Please select an option first.');
             return;
         }
+        if (selectedIndices.length !== correctIndices.length) {
+            alert(`Please select ${correctIndices.length} options.`);
+            return;
+        }
         
-        const question = state.filteredQuestions[state.currentQuestionIndex];
-        const selectedIndex = parseInt(selectedOption.dataset.index);
-        const isCorrect = selectedIndex === question.correctIndex;
-        
-        // Mark this question as answered
-        state.answeredQuestions.add(question.id);
+        // Grade, record and schedule the answer
+        const { correct: isCorrect } = engine.answerQuestion(question, selectedIndices);
+        updateQuestionCounter();
+        scheduleSync();
         
         // Show feedback
         elements.feedback.classList.remove('hidden');
@@ -470,19 +1182,18 @@ document.addEventListener('DOMContentLoaded', () => {
         if (isCorrect) {
             elements.feedback.classList.add('correct');
             elements.feedback.classList.remove('incorrect');
-            elements.feedback.textContent = 'Correct! ' + (question.explanation || '');
+            elements.feedback.innerHTML = renderMarkdown('Correct! ' + (question.explanation || ''));
         } else {
             elements.feedback.classList.add('incorrect');
             elements.feedback.classList.remove('correct');
-            elements.feedback.textContent = 'Incorrect. ' + (question.explanation || '');
+            elements.feedback.innerHTML = renderMarkdown('Incorrect. ' + (question.explanation || ''));
             
-            // Highlight the correct answer
-            const options = document.querySelectorAll('.option');
-            options.forEach((option, index) => {
-                if (index === question.correctIndex) {
+            // Highlight every correct answer and the wrong picks
+            document.querySelectorAll('.option').forEach(option => {
+                const index = parseInt(option.dataset.index);
+                if (correctIndices.includes(index)) {
                     option.classList.add('correct');
-                }
-                if (index === selectedIndex) {
+                } else if (selectedIndices.includes(index)) {
                     option.classList.add('incorrect');
                 }
             });
@@ -492,10 +1203,74 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.submitAnswerBtn.disabled = true;
     }
 
+    // Handle keyboard shortcuts for answering and navigating questions. Shortcuts
+    // are ignored while typing in a form field or when a modifier key is held.
+    function handleKeyboardShortcut(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+        if (e.target.closest('input, textarea, select, [contenteditable="true"], summary')) return;
+        if (!elements.statsPanel.classList.contains('hidden') || !elements.examReport.classList.contains('hidden')) return;
+        if (!elements.reviewPanel.classList.contains('hidden')) return;
+        
+        const key = e.key.toLowerCase();
+        const isMultipleChoice = !elements.multipleChoiceContainer.classList.contains('hidden');
+        const isOpenEnded = !elements.openEndedContainer.classList.contains('hidden');
+        const isRating = !elements.recallRating.classList.contains('hidden');
+        let handled = true;
+        
+        if (isRating && ['1', '2', '3', '4'].includes(key)) {
+            // Rate recall of an open-ended question: Again, Hard, Good, Easy
+            elements.recallRating.querySelectorAll('button')[Number(key) - 1].click();
+        } else if (isMultipleChoice && (OPTION_KEYS.includes(key) || OPTION_LETTERS.includes(key))) {
+            const index = OPTION_KEYS.includes(key) ? OPTION_KEYS.indexOf(key) : OPTION_LETTERS.indexOf(key);
+            const option = document.querySelectorAll('.option')[index];
+            if (option && !isOptionSelectionLocked()) {
+                option.click();
+                option.focus();
+            }
+        } else if (key === 'enter' && e.target.closest('button, a, .tag')) {
+            // Let Enter activate the focused control
+            handled = false;
+        } else if (state.exam) {
+            if (key === 'enter' || key === 'arrowright') {
+                elements.examNextBtn.click();
+            } else if (key === 'arrowleft') {
+                elements.examPrevBtn.click();
+            } else if (key === 'm') {
+                elements.examFlagBtn.click();
+            } else {
+                handled = false;
+            }
+        } else if (key === 'r' && isOpenEnded) {
+            elements.revealAnswerBtn.click();
+        } else if (key === 'm' && !elements.questionTools.classList.contains('hidden')) {
+            toggleQuestionFlag();
+        } else if (key === 'enter') {
+            if (isMultipleChoice && !elements.submitAnswerBtn.disabled) {
+                checkAnswer();
+            } else if (isOpenEnded && !elements.revealAnswerBtn.disabled) {
+                elements.revealAnswerBtn.click();
+            } else {
+                showNextQuestion();
+            }
+        } else {
+            handled = false;
+        }
+        
+        if (handled) e.preventDefault();
+    }
+
     // Reset the question display for a new question
     function resetQuestionDisplay() {
         elements.feedback.classList.add('hidden');
         elements.answerText.classList.add('hidden');
+        elements.typedAnswerPanel.classList.add('hidden');
+        elements.answerComparison.classList.remove('side-by-side');
+        elements.keyTermSummary.classList.add('hidden');
+        elements.recallRating.classList.add('hidden');
+        elements.recallRating.querySelectorAll('button').forEach(button => {
+            button.disabled = false;
+            button.classList.remove('selected');
+        });
         elements.submitAnswerBtn.disabled = false;
         elements.revealAnswerBtn.disabled = false;
         
@@ -510,12 +1285,1036 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Update the question counter display
     function updateQuestionCounter() {
-        const totalQuestions = state.filteredQuestions.length;
-        const answeredCount = state.answeredQuestions.size;
-        const remainingCount = totalQuestions - answeredCount;
+        const { position, total, dueToday, newCount } = engine.getProgress();
+        elements.questionCounter.textContent = engine.practiceSet
+            ? `Practice set: question ${Math.min(position, total)} of ${total}`
+            : `Question ${position} of ${total} (${dueToday} due today, ${newCount} new)`;
+        if (engine.loading) elements.questionCounter.textContent += ', loading more questions...';
+    }
+    
+    // Ask for a size and start a practice set drawn from the filtered questions,
+    // balanced across the exam blueprint of the profile
+    function startPracticeSet() {
+        const available = engine.filteredQuestions.length;
+        if (available === 0) {
+            alert('There are no questions matching the filters.');
+            return;
+        }
+        
+        const input = prompt(
+            `How many questions should the practice set have? ${available} questions match the filters.`,
+            String(Math.min(DEFAULT_PRACTICE_SET_SIZE, available))
+        );
+        if (input === null) return;
+        
+        const count = parseInt(input, 10);
+        if (!(count > 0)) {
+            alert('Please enter a number of questions greater than 0.');
+            return;
+        }
+        
+        const questions = engine.startPracticeSet(count);
+        if (questions.length < count) {
+            alert(`Only ${questions.length} questions match the filters, so the practice set has all of them.`);
+        }
+        showNextQuestion();
+    }
+
+    // Start a timed mock exam for the selected profile
+    function startExam() {
+        if (engine.loading) {
+            alert('The questions are still loading. Please start the exam once they have loaded.');
+            return;
+        }
+        
+        const { settings, questions, optionOrders } = engine.buildExam();
+        
+        if (questions.length === 0) {
+            alert('There are no multiple choice questions available for a mock exam in this profile.');
+            return;
+        }
+        
+        state.exam = {
+            settings,
+            questions,
+            optionOrders, // Options keep their order when going back to a question
+            answers: new Array(questions.length).fill(null),
+            timeSpent: new Array(questions.length).fill(0),
+            flagged: new Set(),
+            currentIndex: 0,
+            startTime: Date.now(),
+            endTime: Date.now() + settings.durationMinutes * 60 * 1000,
+            questionShownAt: Date.now(),
+            timerId: null
+        };
+        
+        elements.controls.classList.add('hidden');
+        elements.examReport.classList.add('hidden');
+        elements.examBar.classList.remove('hidden');
+        elements.questionContainer.classList.remove('hidden');
+        elements.submitAnswerBtn.classList.add('hidden');
+        
+        state.exam.timerId = setInterval(updateExamTimer, 1000);
+        updateExamTimer();
+        renderExamNavigator();
+        goToExamQuestion(0);
+    }
+
+    // Show the exam question at the given position
+    function goToExamQuestion(index) {
+        const exam = state.exam;
+        if (!exam || index < 0 || index >= exam.questions.length) return;
+        
+        trackExamTime();
+        exam.currentIndex = index;
+        resetQuestionDisplay();
+        
+        const question = exam.questions[index];
+        elements.questionText.innerHTML = renderMarkdown(question.question);
+        displayMultipleChoiceQuestion(question, exam.optionOrders[index], exam.answers[index], selectedIndices => {
+            exam.answers[index] = selectedIndices.length > 0 ? selectedIndices : null;
+            renderExamNavigator();
+        });
+        
+        renderQuestionTools(question);
+        
+        elements.examProgress.textContent = `Question ${index + 1} of ${exam.questions.length}`;
+        elements.examPrevBtn.disabled = index === 0;
+        elements.examNextBtn.disabled = index === exam.questions.length - 1;
+        elements.examFlagBtn.classList.toggle('flagged', exam.flagged.has(index));
+        elements.examFlagBtn.setAttribute('aria-pressed', String(exam.flagged.has(index)));
+        renderExamNavigator();
+    }
+
+    // Add the time since the current exam question was shown to its total
+    function trackExamTime() {
+        const exam = state.exam;
+        const now = Date.now();
+        exam.timeSpent[exam.currentIndex] += now - exam.questionShownAt;
+        exam.questionShownAt = now;
+    }
+
+    // Flag or unflag the current exam question for review
+    function toggleExamFlag() {
+        const exam = state.exam;
+        if (exam.flagged.has(exam.currentIndex)) {
+            exam.flagged.delete(exam.currentIndex);
+        } else {
+            exam.flagged.add(exam.currentIndex);
+        }
+        
+        elements.examFlagBtn.classList.toggle('flagged', exam.flagged.has(exam.currentIndex));
+        elements.examFlagBtn.setAttribute('aria-pressed', String(exam.flagged.has(exam.currentIndex)));
+        renderExamNavigator();
+    }
+
+    // Render the question navigator showing answered, flagged and current questions
+    function renderExamNavigator() {
+        const exam = state.exam;
+        elements.examNavigator.innerHTML = '';
+        
+        exam.questions.forEach((question, index) => {
+            const navButton = document.createElement('button');
+            navButton.classList.add('exam-nav-item');
+            navButton.textContent = index + 1;
+            
+            const status = [];
+            if (exam.answers[index] !== null) {
+                navButton.classList.add('answered');
+                status.push('answered');
+            }
+            if (exam.flagged.has(index)) {
+                navButton.classList.add('flagged');
+                status.push('flagged for review');
+            }
+            if (index === exam.currentIndex) {
+                navButton.classList.add('current');
+                navButton.setAttribute('aria-current', 'step');
+            }
+            navButton.setAttribute('aria-label', `Question ${index + 1}${status.length > 0 ? `, ${status.join(', ')}` : ''}`);
+            
+            navButton.addEventListener('click', () => goToExamQuestion(index));
+            elements.examNavigator.appendChild(navButton);
+        });
+    }
+
+    // Update the countdown and submit the exam when time runs out
+    function updateExamTimer() {
+        const remaining = Math.max(0, state.exam.endTime - Date.now());
+        elements.examTimeRemaining.textContent = formatDuration(remaining);
+        elements.examTimeRemaining.classList.toggle('warning', remaining < 5 * 60 * 1000);
+        
+        if (remaining === 0) {
+            submitExam(true);
+        }
+    }
+
+    // Format milliseconds as hh:mm:ss
+    function formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':');
+    }
+
+    // Grade the exam and show the score report
+    function submitExam(timedOut) {
+        const exam = state.exam;
+        
+        if (!timedOut) {
+            const unanswered = exam.answers.filter(answer => answer === null).length;
+            const flagged = exam.flagged.size;
+            let message = 'Submit the exam?';
+            if (unanswered > 0) message += ` ${unanswered} question(s) are unanswered.`;
+            if (flagged > 0) message += ` ${flagged} question(s) are flagged for review.`;
+            if (!confirm(message)) return;
+        }
+        
+        clearInterval(exam.timerId);
+        trackExamTime();
+        
+        // Grade overall and per domain, recording every answered question
+        const { passingScore } = exam.settings;
+        const score = engine.submitExam(exam.questions, exam.answers, exam.timeSpent, passingScore);
+        exam.flagged.forEach(index => engine.toggleFlag(exam.questions[index], true));
+        scheduleSync();
+        const timeTaken = Math.min(Date.now(), exam.endTime) - exam.startTime;
+        
+        renderExamReport({ ...score, passingScore, timeTaken, timedOut });
+        state.exam = null;
+    }
+
+    // Render the end-of-exam score report
+    function renderExamReport(result) {
+        elements.examBar.classList.add('hidden');
+        elements.questionContainer.classList.add('hidden');
+        elements.examReport.classList.remove('hidden');
+        elements.examReport.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.classList.add('exam-summary', result.passed ? 'passed' : 'failed');
+        summary.innerHTML = `
+            <h2>${result.passed ? '<i class="fas fa-check-circle"></i> PASS' : '<i class="fas fa-times-circle"></i> FAIL'}</h2>
+            <p class="exam-score">Scaled score: <strong>${result.scaledScore}</strong> / 1000 (passing score ${result.passingScore})</p>
+            <p>${result.correctCount} of ${result.total} correct (${formatAccuracy(result.correctCount, result.total)})
+                in ${formatDuration(result.timeTaken)}${result.timedOut ? ' - time expired' : ''}</p>
+        `;
+        elements.examReport.appendChild(summary);
+        
+        // Per-domain breakdown, in blueprint order
+        const table = document.createElement('table');
+        table.classList.add('domain-breakdown');
+        table.innerHTML = '<thead><tr><th>Domain</th><th>Correct</th><th>Score</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        const domainOrder = [...engine.getBlueprint().map(d => d.name), OTHER_DOMAIN];
+        domainOrder
+            .filter(domain => result.domainResults.has(domain))
+            .forEach(domain => {
+                const { correct, total } = result.domainResults.get(domain);
+                const row = document.createElement('tr');
+                [domain, `${correct} / ${total}`, formatAccuracy(correct, total)].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+        table.appendChild(tbody);
+        elements.examReport.appendChild(table);
+        
+        const actions = document.createElement('div');
+        actions.classList.add('stats-actions');
+        
+        const backButton = document.createElement('button');
+        backButton.innerHTML = '<i class="fas fa-undo"></i> Back to Practice';
+        backButton.addEventListener('click', exitExam);
+        actions.appendChild(backButton);
+        
+        const reviewButton = document.createElement('button');
+        reviewButton.innerHTML = '<i class="fas fa-history"></i> Review Answers';
+        reviewButton.addEventListener('click', () => showReview(true));
+        actions.appendChild(reviewButton);
+        
+        elements.examReport.appendChild(actions);
+    }
+
+    // Leave exam mode and return to practice questions
+    function exitExam() {
+        elements.examReport.classList.add('hidden');
+        elements.examBar.classList.add('hidden');
+        elements.controls.classList.remove('hidden');
+        elements.questionContainer.classList.remove('hidden');
+        elements.submitAnswerBtn.classList.remove('hidden');
+        showNextQuestion();
+    }
+
+    // Format a correct/total pair as a percentage
+    function formatAccuracy(correct, total) {
+        return total === 0 ? '-' : `${Math.round(100 * correct / total)}%`;
+    }
+
+    // Sort stats groups with the weakest accuracy first
+    function byAccuracy([, a], [, b]) {
+        return a.correct / a.total - b.correct / b.total;
+    }
+
+    // Build a stats table, by default listing the weakest groups first
+    function createStatsTable(title, groups, { getLabel = key => key, compare = byAccuracy } = {}) {
+        const section = document.createElement('div');
+        section.classList.add('stats-section');
+        
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+        
+        const table = document.createElement('table');
+        table.classList.add('stats-table');
+        table.innerHTML = '<thead><tr><th></th><th>Answered</th><th>Accuracy</th><th>Last 7 days</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        
+        Array.from(groups.entries())
+            .sort(compare)
+            .forEach(([key, group]) => {
+                const row = document.createElement('tr');
+                [
+                    getLabel(key),
+                    group.total,
+                    formatAccuracy(group.correct, group.total),
+                    formatAccuracy(group.recentCorrect, group.recentTotal)
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                tbody.appendChild(row);
+            });
+        
+        table.appendChild(tbody);
+        section.appendChild(table);
+        return section;
+    }
+
+    // Show accuracy statistics for all recorded attempts
+    function showStats() {
+        elements.controls.classList.add('hidden');
+        elements.questionContainer.classList.add('hidden');
+        elements.statsPanel.classList.remove('hidden');
+        elements.statsPanel.innerHTML = '';
+        
+        const graded = engine.attempts.filter(attempt => attempt.correct !== null);
+        const correct = graded.filter(attempt => attempt.correct).length;
+        
+        const summary = document.createElement('div');
+        summary.classList.add('stats-summary');
+        summary.textContent = graded.length === 0
+            ? 'No answers recorded yet. Answer some questions to see your statistics.'
+            : `${graded.length} answers recorded, ${formatAccuracy(correct, graded.length)} correct overall.`;
+        elements.statsPanel.appendChild(summary);
+        
+        if (graded.length > 0) {
+            const profileName = profileId => engine.profiles[profileId] ? engine.profiles[profileId].name : 'All Questions';
+            const day = timestamp => new Date(timestamp).toISOString().slice(0, 10);
+            
+            // Daily accuracy for the last two weeks, most recent first
+            const twoWeeksAgo = Date.now() - 14 * 24 * 60 * 60 * 1000;
+            const daily = summarizeAttempts(
+                engine.attempts.filter(attempt => attempt.timestamp >= twoWeeksAgo),
+                attempt => [day(attempt.timestamp)]
+            );
+            
+            elements.statsPanel.appendChild(createStatsTable('Accuracy by Tag', summarizeAttempts(engine.attempts, attempt => attempt.tags)));
+            elements.statsPanel.appendChild(createStatsTable('Accuracy by Profile', summarizeAttempts(engine.attempts, attempt => [attempt.profile]), { getLabel: profileName }));
+            elements.statsPanel.appendChild(createStatsTable('Accuracy by Source File', summarizeAttempts(engine.attempts, attempt => [attempt.sourceFile])));
+            elements.statsPanel.appendChild(createStatsTable('Accuracy by Day', daily, { compare: ([a], [b]) => b.localeCompare(a) }));
+        }
+        
+        const coverage = document.createElement('div');
+        coverage.classList.add('stats-section');
+        coverage.innerHTML = '<h3>Question Bank Coverage</h3><p class="coverage-status">Counting questions...</p>';
+        elements.statsPanel.appendChild(coverage);
+        renderCoverage(coverage);
+        
+        if (state.sync.available) {
+            const team = document.createElement('div');
+            team.classList.add('stats-section', 'team-stats');
+            elements.statsPanel.appendChild(team);
+            renderTeamStats(team);
+        }
+        
+        const actions = document.createElement('div');
+        actions.classList.add('stats-actions');
+        
+        const backButton = document.createElement('button');
+        backButton.innerHTML = '<i class="fas fa-undo"></i> Back to Practice';
+        backButton.addEventListener('click', hideStats);
+        actions.appendChild(backButton);
+        
+        const resetButton = document.createElement('button');
+        resetButton.classList.add('danger');
+        resetButton.innerHTML = '<i class="fas fa-trash"></i> Reset Progress';
+        resetButton.addEventListener('click', () => {
+            if (!confirm('Delete all recorded answers? This cannot be undone.')) return;
+            engine.resetProgress();
+            state.sync.uploaded = 0;
+            saveSyncSettings();
+            showStats();
+        });
+        actions.appendChild(resetButton);
+        
+        elements.statsPanel.appendChild(actions);
+    }
+
+    // Fill the coverage section of the statistics panel with the number of
+    // questions per blueprint domain of every profile, so authors can see where
+    // a question bank is thin
+    async function renderCoverage(section) {
+        let coverage;
+        try {
+            coverage = await engine.getCoverage();
+        } catch (error) {
+            console.error('Error counting questions:', error);
+            section.querySelector('.coverage-status').textContent = describeLoadError('count the questions');
+            return;
+        }
+        
+        section.querySelector('.coverage-status').remove();
+        coverage.forEach(profile => {
+            const heading = document.createElement('h4');
+            heading.textContent = `${profile.name} (${profile.total} questions)`;
+            section.appendChild(heading);
+            
+            const table = document.createElement('table');
+            table.classList.add('stats-table', 'coverage-table');
+            table.innerHTML = '<thead><tr><th>Domain</th><th>Target</th><th>Questions</th><th>Share</th><th>Multiple choice</th></tr></thead>';
+            const tbody = document.createElement('tbody');
+            
+            profile.domains
+                .filter(domain => domain.name !== OTHER_DOMAIN || domain.count > 0)
+                .forEach(domain => {
+                    const row = document.createElement('tr');
+                    const isOther = domain.name === OTHER_DOMAIN;
+                    row.classList.toggle('thin', !isOther && domain.share < domain.weight * THIN_COVERAGE_RATIO);
+                    [
+                        domain.name,
+                        isOther ? '-' : `${Math.round(100 * domain.weight)}%`,
+                        domain.count,
+                        `${Math.round(100 * domain.share)}%`,
+                        domain.multipleChoice
+                    ].forEach(value => {
+                        const cell = document.createElement('td');
+                        cell.textContent = value;
+                        row.appendChild(cell);
+                    });
+                    tbody.appendChild(row);
+                });
+            
+            table.appendChild(tbody);
+            section.appendChild(table);
+        });
+    }
+
+    // Fill the team section of the statistics panel: a button to join the team,
+    // or the team's accuracy per tag, hardest questions and streak leaderboard
+    async function renderTeamStats(section) {
+        section.innerHTML = '<h3>Team</h3>';
+        const status = document.createElement('p');
+        status.classList.add('team-status');
+        section.appendChild(status);
+        
+        if (!state.sync.userId) {
+            status.textContent = 'Join your team to share your progress and compare it on the team leaderboard. Your typed answers stay on this device.';
+            const joinButton = document.createElement('button');
+            joinButton.innerHTML = '<i class="fas fa-users"></i> Join Team';
+            joinButton.addEventListener('click', async () => {
+                if (await joinTeam()) renderTeamStats(section);
+            });
+            section.appendChild(joinButton);
+            return;
+        }
+        
+        status.textContent = 'Loading team statistics...';
+        let tags, hardest, leaderboard;
+        try {
+            [tags, hardest, leaderboard] = await Promise.all([
+                apiRequest('api/stats/tags'),
+                apiRequest(`api/stats/hardest?limit=${TEAM_HARDEST_LIMIT}`),
+                apiRequest('api/leaderboard')
+            ]);
+        } catch (error) {
+            console.error('Error loading team statistics:', error);
+            status.textContent = `Failed to load team statistics: ${error.message}`;
+            return;
+        }
+        
+        status.textContent = `Synced as ${state.sync.name}.`;
+        if (tags.length > 0) {
+            section.appendChild(createTeamTable('Team Accuracy by Tag', ['Tag', 'Answered', 'Accuracy', 'Last 7 days'], tags.map(group => [
+                group.tag,
+                group.total,
+                formatAccuracy(group.correct, group.total),
+                formatAccuracy(group.recentCorrect, group.recentTotal)
+            ])));
+        }
+        if (hardest.length > 0) {
+            section.appendChild(createTeamTable('Hardest Questions', ['Question', 'Answered', 'Users', 'Accuracy'], hardest.map(question => [
+                question.questionUid,
+                question.total,
+                question.users,
+                formatAccuracy(question.correct, question.total)
+            ])));
+        }
+        const board = createTeamTable('Streak Leaderboard', ['', 'Name', 'Streak', 'Answered', 'Last 7 days'], leaderboard.map((user, index) => [
+            index + 1,
+            user.name,
+            `${user.streak} ${user.streak === 1 ? 'day' : 'days'}`,
+            user.answered,
+            user.recentAccuracy === null ? '-' : `${Math.round(100 * user.recentAccuracy)}%`
+        ]));
+        board.querySelectorAll('tbody tr').forEach((row, index) => {
+            row.classList.toggle('current-user', leaderboard[index].name === state.sync.name);
+        });
+        section.appendChild(board);
+    }
+    
+    // Build a table of the team section from rows of cell values
+    function createTeamTable(title, headers, rows) {
+        const container = document.createElement('div');
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        container.appendChild(heading);
+        
+        const table = document.createElement('table');
+        table.classList.add('stats-table', 'team-table');
+        const headRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const cell = document.createElement('th');
+            cell.textContent = header;
+            headRow.appendChild(cell);
+        });
+        const tbody = table.createTBody();
+        rows.forEach(values => {
+            const row = tbody.insertRow();
+            values.forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        
+        container.appendChild(table);
+        return container;
+    }
+
+    // Hide the statistics panel and return to practice
+    function hideStats() {
+        elements.statsPanel.classList.add('hidden');
+        elements.controls.classList.remove('hidden');
+        elements.questionContainer.classList.remove('hidden');
+    }
+
+    // Show every answer given this session, with the correct answer, the
+    // explanation, the time taken, a flag and the question's note.
+    // fromExam returns to the exam report when the review is closed.
+    function showReview(fromExam) {
+        state.reviewFromExam = fromExam;
+        elements.controls.classList.add('hidden');
+        elements.questionContainer.classList.add('hidden');
+        elements.examReport.classList.add('hidden');
+        elements.reviewPanel.classList.remove('hidden');
+        renderReview();
+    }
+
+    // Render the session review with the selected filter
+    function renderReview() {
+        elements.reviewPanel.innerHTML = '';
+        
+        const allEntries = engine.getSessionReview();
+        const entries = engine.getSessionReview(state.reviewFilter);
+        const answers = allEntries.filter(entry => entry.attempt !== null);
+        const correct = answers.filter(entry => entry.attempt.correct === true).length;
+        const incorrect = answers.filter(entry => entry.attempt.correct === false).length;
+        const unanswered = allEntries.length - answers.length;
+        
+        const header = document.createElement('div');
+        header.classList.add('review-header');
+        
+        const summary = document.createElement('div');
+        summary.classList.add('stats-summary');
+        summary.textContent = allEntries.length === 0
+            ? 'No answers yet this session. Answer some questions to review them here.'
+            : `${answers.length} answer(s) this session: ${correct} correct, ${incorrect} incorrect, ${answers.length - correct - incorrect} not graded.`
+                + (unanswered > 0 ? ` ${unanswered} flagged question(s) without an answer.` : '');
+        header.appendChild(summary);
+        
+        const filter = document.createElement('select');
+        filter.setAttribute('aria-label', 'Show');
+        ['', ...REVIEW_FILTERS].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${REVIEW_FILTER_LABELS[value]} (${value ? engine.getSessionReview(value).length : allEntries.length})`;
+            filter.appendChild(option);
+        });
+        filter.value = state.reviewFilter;
+        filter.addEventListener('change', () => {
+            state.reviewFilter = filter.value;
+            renderReview();
+        });
+        header.appendChild(filter);
+        elements.reviewPanel.appendChild(header);
+        
+        if (allEntries.length > 0 && entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.classList.add('stats-section');
+            empty.textContent = 'No questions match this filter.';
+            elements.reviewPanel.appendChild(empty);
+        }
+        entries.forEach(entry => {
+            const number = allEntries.findIndex(other => other.attempt === entry.attempt && other.question === entry.question) + 1;
+            elements.reviewPanel.appendChild(createReviewItem(entry, number));
+        });
+        
+        const actions = document.createElement('div');
+        actions.classList.add('stats-actions');
+        const backButton = document.createElement('button');
+        backButton.innerHTML = state.reviewFromExam
+            ? '<i class="fas fa-undo"></i> Back to Exam Results'
+            : '<i class="fas fa-undo"></i> Back to Practice';
+        backButton.addEventListener('click', hideReview);
+        actions.appendChild(backButton);
+        elements.reviewPanel.appendChild(actions);
+    }
+
+    // Build the review of one answer, or of a flagged question without one
+    // when attempt is null. Options are listed in their original order.
+    function createReviewItem({ question, attempt, flagged }, number) {
+        const item = document.createElement('article');
+        item.classList.add('review-item');
+        if (attempt && attempt.correct !== null) item.classList.add(attempt.correct ? 'correct' : 'incorrect');
+        
+        const meta = document.createElement('div');
+        meta.classList.add('review-meta');
+        const details = [`#${number}`];
+        if (attempt) {
+            let result = attempt.correct === null ? 'Answer revealed' : attempt.correct ? 'Correct' : 'Incorrect';
+            if (attempt.grade) result = `${result} (graded ${attempt.grade[0].toUpperCase()}${attempt.grade.slice(1)})`;
+            details.push(result, attempt.mode === 'exam' ? 'Mock exam' : 'Practice', `Time: ${formatDuration(attempt.timeTaken)}`);
+        } else {
+            details.push('Unanswered');
+        }
+        [...details, question.tags.join(', ')].forEach(text => {
+            const span = document.createElement('span');
+            span.textContent = text;
+            meta.appendChild(span);
+        });
+        item.appendChild(meta);
+        
+        const text = document.createElement('div');
+        text.classList.add('review-question', 'markdown');
+        text.innerHTML = renderMarkdown(question.question);
+        item.appendChild(text);
+        
+        if (question.type === 'multiple-choice') {
+            const correctIndices = getCorrectIndices(question);
+            const selectedIndices = (attempt && attempt.selectedIndices) || [];
+            const options = document.createElement('ol');
+            options.classList.add('review-options');
+            question.options.forEach((option, index) => {
+                const li = document.createElement('li');
+                li.innerHTML = renderInlineMarkdown(option);
+                
+                const isCorrect = correctIndices.includes(index);
+                const isSelected = selectedIndices.includes(index);
+                if (isCorrect) li.classList.add('correct');
+                if (isSelected && !isCorrect) li.classList.add('incorrect');
+                
+                const labels = [isSelected && 'Your answer', isCorrect && 'Correct answer'].filter(Boolean);
+                if (labels.length > 0) {
+                    const label = document.createElement('span');
+                    label.classList.add('review-label');
+                    label.textContent = labels.join(' · ');
+                    li.appendChild(label);
+                }
+                options.appendChild(li);
+            });
+            item.appendChild(options);
+        } else {
+            const answer = document.createElement('div');
+            answer.classList.add('review-answer', 'markdown');
+            answer.innerHTML = renderMarkdown(question.answer);
+            
+            if (attempt && attempt.typedAnswer) {
+                const results = matchKeyTerms(question.answer, attempt.typedAnswer);
+                const typed = document.createElement('div');
+                typed.classList.add('review-typed-answer');
+                typed.textContent = attempt.typedAnswer;
+                highlightKeyTerms(typed, results.filter(r => r.matched));
+                highlightKeyTerms(answer, results);
+                item.appendChild(typed);
+            }
+            item.appendChild(answer);
+        }
+        
+        if (question.explanation) {
+            const explanation = document.createElement('div');
+            explanation.classList.add('review-explanation', 'markdown');
+            explanation.innerHTML = renderMarkdown(question.explanation);
+            item.appendChild(explanation);
+        }
+        
+        const actions = document.createElement('div');
+        actions.classList.add('review-actions');
+        
+        const flagButton = document.createElement('button');
+        flagButton.classList.add('review-flag');
+        renderFlagButton(flagButton, flagged);
+        flagButton.addEventListener('click', () => {
+            engine.toggleFlag(question);
+            renderReview();
+        });
+        actions.appendChild(flagButton);
+        
+        const note = document.createElement('textarea');
+        note.classList.add('review-note');
+        note.rows = 2;
+        note.placeholder = 'My note';
+        note.setAttribute('aria-label', `My note for question ${number}`);
+        note.value = engine.getNote(question);
+        note.addEventListener('input', () => engine.setNote(question, note.value));
+        actions.appendChild(note);
+        
+        item.appendChild(actions);
+        return item;
+    }
+
+    // Close the session review
+    function hideReview() {
+        elements.reviewPanel.classList.add('hidden');
+        if (state.reviewFromExam) {
+            elements.examReport.classList.remove('hidden');
+        } else {
+            elements.controls.classList.remove('hidden');
+            elements.questionContainer.classList.remove('hidden');
+            
+            // Notes and flags may have changed for the question on screen
+            const question = getDisplayedQuestion();
+            if (question) renderQuestionTools(question);
+        }
+    }
+
+    // Record the user's self-rated recall for the current open-ended question
+    function rateRecall(button) {
+        const question = engine.currentQuestion;
+        engine.rateRecall(question, button.dataset.grade);
+        
+        // Upload the graded attempt again, it may have been sent before it was graded
+        const index = engine.attempts.map(attempt => attempt.questionUid).lastIndexOf(question.uid);
+        if (index !== -1) state.sync.uploaded = Math.min(state.sync.uploaded, index);
+        scheduleSync();
+        
+        elements.recallRating.querySelectorAll('button').forEach(b => {
+            b.disabled = true;
+        });
+        button.classList.add('selected');
+        updateQuestionCounter();
+    }
+
+    // Message shown when nothing is due, with the time of the next review
+    function getCaughtUpMessage() {
+        if (engine.practiceSet) {
+            return `Practice set of ${engine.practiceSet.length} questions complete! Use Review Session to go over your answers, or Next Question to continue practicing.`;
+        }
+        
+        const nextReview = engine.getNextReviewTime();
+        if (nextReview === null) {
+            return 'You have answered all available questions! Refresh the page to start over.';
+        }
+        return `You're all caught up! The next review is due ${new Date(nextReview).toLocaleString()}.`;
+    }
+
+    // Load the team sync settings from localStorage
+    function loadSyncSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.sync)) || {};
+        } catch (error) {
+            console.error('Error loading team sync settings:', error);
+            return {};
+        }
+    }
+
+    function saveSyncSettings() {
+        const { userId, name, uploaded } = state.sync;
+        try {
+            localStorage.setItem(STORAGE_KEYS.sync, JSON.stringify({ userId, name, uploaded }));
+        } catch (error) {
+            console.error('Error saving team sync settings:', error);
+        }
+    }
+
+    // Call the sync server's API. Throws an error with the response status when
+    // the request fails.
+    async function apiRequest(path, body) {
+        const response = await fetch(path, body === undefined ? {} : {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(result.error || `Request failed with ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    // Check whether the app is served by the sync server. Without it, or
+    // offline, the app works as usual and nothing is synced.
+    async function initSync() {
+        state.sync = { ...state.sync, ...loadSyncSettings() };
+        try {
+            const status = await apiRequest('api/status');
+            state.sync.available = status.ok === true;
+        } catch (error) {
+            state.sync.available = false;
+        }
+        if (!state.sync.available) return;
+        
+        window.addEventListener('online', scheduleSync);
+        scheduleSync();
+    }
+
+    // Upload new attempts shortly, once the user has joined the team
+    function scheduleSync() {
+        if (!state.sync.available || !state.sync.userId) return;
+        clearTimeout(state.syncTimer);
+        state.syncTimer = setTimeout(syncProgress, SYNC_DELAY_MS);
+    }
+
+    // Upload the attempts recorded since the last upload. When the server no
+    // longer knows the user, e.g. because its store was reset, register again
+    // under the same name and upload everything, or ask to join again if the
+    // name has been taken meanwhile.
+    async function syncProgress() {
+        state.sync.uploaded = Math.min(state.sync.uploaded, engine.attempts.length);
+        try {
+            while (state.sync.uploaded < engine.attempts.length) {
+                const attempts = engine.attempts.slice(state.sync.uploaded, state.sync.uploaded + SYNC_BATCH_SIZE);
+                await apiRequest(`api/users/${encodeURIComponent(state.sync.userId)}/attempts`, createAttemptsUpload(attempts));
+                state.sync.uploaded += attempts.length;
+                saveSyncSettings();
+            }
+        } catch (error) {
+            if (error.status === 404) {
+                if (await registerTeamMember(state.sync.name).catch(() => false)) {
+                    scheduleSync();
+                    return;
+                }
+                state.sync.userId = null;
+                saveSyncSettings();
+            }
+            console.warn('Could not sync progress with the team:', error);
+        }
+    }
+
+    // Register with the sync server under a name. Resolves to false when the
+    // name is taken.
+    async function registerTeamMember(name) {
+        try {
+            const user = await apiRequest('api/users', { name });
+            state.sync = { ...state.sync, userId: user.id, name: user.name, uploaded: 0 };
+            saveSyncSettings();
+            return true;
+        } catch (error) {
+            if (error.status === 409) return false;
+            throw error;
+        }
+    }
+
+    // Ask for a name and join the team, uploading every recorded attempt.
+    // Resolves to whether the user joined.
+    async function joinTeam() {
+        let message = 'Enter your name for the team leaderboard:';
+        for (;;) {
+            const name = prompt(message);
+            if (name === null) return false;
+            if (!name.trim()) continue;
+            
+            try {
+                if (await registerTeamMember(name)) break;
+                message = `The name ${name.trim()} is already taken. Enter another name:`;
+            } catch (error) {
+                alert(`Could not join the team: ${error.message}`);
+                return false;
+            }
+        }
+        
+        await syncProgress();
+        return true;
+    }
+
+    // Load imported question banks from localStorage
+    function loadCustomBanks() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.banks)) || {};
+        } catch (error) {
+            console.error('Error loading imported question banks:', error);
+            return {};
+        }
+    }
+
+    // Save imported question banks to localStorage. Returns false when they could
+    // not be saved, e.g. because the storage quota is used up.
+    function saveCustomBanks() {
+        try {
+            localStorage.setItem(STORAGE_KEYS.banks, JSON.stringify(state.customBanks));
+            return true;
+        } catch (error) {
+            console.error('Error saving imported question banks:', error);
+            return false;
+        }
+    }
+
+    // Profiles for the imported question banks, in the same shape as the
+    // profiles in data/manifest.json
+    function getCustomProfiles() {
+        const profiles = {};
+        Object.entries(state.customBanks).forEach(([profileId, bank]) => {
+            profiles[profileId] = {
+                name: bank.name,
+                description: `Imported from ${bank.source}`,
+                files: [bank.file],
+                custom: true
+            };
+        });
+        return profiles;
+    }
+
+    // Import a question file picked by the user as a new question bank profile.
+    // Valid questions are saved, invalid ones are listed in the import result.
+    async function importQuestionBank(file) {
+        const suggestedName = file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ');
+        const name = (prompt('Name for the imported question bank:', suggestedName) || '').trim();
+        if (!name) return;
+        
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bank';
+        const profileId = `${CUSTOM_PROFILE_PREFIX}${slug}`;
+        const bankFile = `${CUSTOM_BANK_DIR}${slug}.json`;
+        if (state.customBanks[profileId] && !confirm(`Replace the existing question bank "${state.customBanks[profileId].name}"?`)) {
+            return;
+        }
+        
+        let result;
+        try {
+            // Questions without tags, e.g. from Anki decks, are tagged with the bank name
+            result = prepareQuestions(parseQuestionBank(file.name, await file.text(), name), bankFile);
+        } catch (error) {
+            console.error('Error importing question bank:', error);
+            renderImportResult(`Could not import ${file.name}: ${error.message}`, [], true);
+            return;
+        }
+        
+        const { questions, problems } = result;
+        if (questions.length === 0) {
+            renderImportResult(`No valid questions found in ${file.name}.`, problems, true);
+            return;
+        }
+        
+        const previous = state.customBanks[profileId];
+        state.customBanks[profileId] = {
+            name,
+            file: bankFile,
+            source: file.name,
+            importedAt: Date.now(),
+            questions: questions.map(toQuestionData)
+        };
+        if (!saveCustomBanks()) {
+            if (previous) {
+                state.customBanks[profileId] = previous;
+            } else {
+                delete state.customBanks[profileId];
+            }
+            renderImportResult(`Could not save ${file.name}: the browser storage is full.`, [], true);
+            return;
+        }
+        
+        renderImportResult(`Imported ${questions.length} question(s) from ${file.name} into "${name}".`, problems, false);
+        
+        // A bank imported again starts over with its new questions
+        engine.forgetFile(bankFile);
+        engine.profileSessions.delete(profileId);
+        await switchProfile(profileId, true);
+    }
+
+    // Show the outcome of an import with the problems of any skipped questions
+    function renderImportResult(message, problems, isError) {
+        elements.importResult.innerHTML = '';
+        elements.importResult.classList.remove('hidden');
+        elements.importResult.classList.toggle('error', isError);
+        
+        const summary = document.createElement('p');
+        summary.textContent = message;
+        elements.importResult.appendChild(summary);
+        if (problems.length === 0) return;
+        
+        const skipped = new Set(problems.map(problem => problem.id)).size;
+        const heading = document.createElement('p');
+        heading.textContent = `Skipped ${skipped} invalid question(s):`;
+        elements.importResult.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        problems.slice(0, MAX_IMPORT_PROBLEMS_SHOWN).forEach(({ id, message: problem }) => {
+            const item = document.createElement('li');
+            item.textContent = `${id}: ${problem}`;
+            list.appendChild(item);
+        });
+        if (problems.length > MAX_IMPORT_PROBLEMS_SHOWN) {
+            const item = document.createElement('li');
+            item.textContent = `...and ${problems.length - MAX_IMPORT_PROBLEMS_SHOWN} more`;
+            list.appendChild(item);
+        }
+        elements.importResult.appendChild(list);
+    }
+
+    // Download the questions of the current profile and filters as a JSON
+    // question file
+    function exportQuestions() {
+        if (engine.filteredQuestions.length === 0) {
+            alert('There are no questions to export with the selected filters.');
+            return;
+        }
+        
+        const profileName = engine.profileId.replace(CUSTOM_PROFILE_PREFIX, '');
+        const suffix = isEmptyQuery(getActiveQuery()) ? '' : '-filtered';
+        const blob = new Blob([exportQuestionBank(engine.filteredQuestions)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${profileName}${suffix}-questions.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Download every issue report as JSON, to send to the question bank
+    // maintainers. They can correct the questions in data/errata.json.
+    function exportIssueReports() {
+        const blob = new Blob([JSON.stringify(engine.reports, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'question-issue-reports.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Delete the selected imported question bank. Progress on its questions is kept.
+    async function deleteCustomBank() {
+        const bank = state.customBanks[engine.profileId];
+        if (!bank || !confirm(`Delete the question bank "${bank.name}"?`)) return;
         
-        // Use the sequential counter instead of the index
-        elements.questionCounter.textContent = `Question ${state.questionCounter} of ${totalQuestions} (${remainingCount} remaining)`;
+        const profileId = engine.profileId;
+        delete state.customBanks[profileId];
+        saveCustomBanks();
+        elements.importResult.classList.add('hidden');
+        await switchProfile('all', true);
+        engine.forgetFile(bank.file);
+        engine.profileSessions.delete(profileId);
     }
 
     // Start the application
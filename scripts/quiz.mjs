@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+// Practice questions in the terminal. Reads data/manifest.json, the question
+// files and data/errata.json directly and uses the same question engine as the
+// web app (lib/question-engine.mjs), so filters and spaced repetition behave the
+// same.
+// Progress is saved to a JSON file rather than the browser's localStorage.
+//
+// Usage:
+//     node scripts/quiz.mjs                                  # Practice all questions
+//     node scripts/quiz.mjs --profile architect-associate    # Practice one profile
+//     node scripts/quiz.mjs --tags S3,Storage --count 10     # Any of these tags, 10 questions
+//     node scripts/quiz.mjs --query "Security AND NOT IAM"   # Boolean tag query
+//     node scripts/quiz.mjs --sheet --count 20 > quiz.txt    # Printable quiz sheet and answer key
+//     node scripts/quiz.mjs --sheet --seed week-12           # The same sheet every time
+//     node scripts/quiz.mjs --count 20 --balanced            # Practice set matching the exam blueprint
+//     node scripts/quiz.mjs --coverage                       # Questions per exam domain of each profile
+//     node scripts/quiz.mjs --list-profiles
+//
+// Run with --help for all options.
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import path from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    buildBlueprintQuestionSet,
+    createQuestionEngine,
+    createSeededRandom,
+    OTHER_DOMAIN,
+    RECALL_GRADES,
+    shuffleArray,
+    summarizeAttempts
+} from '../lib/question-engine.mjs';
+import { matchKeyTerms } from '../lib/answer-keywords.mjs';
+import { ERRATA_FILE, getCorrectIndices } from '../lib/question-loader.mjs';
+import { EMPTY_QUERY, HISTORY_FILTERS } from '../lib/question-query.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_PROGRESS_FILE = path.join(homedir(), '.aws-exam-practice-progress.json');
+const DEFAULT_SHEET_COUNT = 20;
+// Coverage marks domains whose share of the questions is below this fraction of their weight
+const THIN_COVERAGE_RATIO = 0.75;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const USAGE = `Usage: node scripts/quiz.mjs [options]
+
+Practice:
+  --profile <id>      Profile from data/manifest.json (default: all questions)
+  --tags <a,b>        Only questions with any of these tags
+  --query <expr>      Boolean tag query, e.g. "Storage AND Cost Optimization NOT Database"
+  --text <words>      Only questions containing these words
+  --type <type>       multiple-choice or open-ended
+  --file <name>       Only questions from this question file
+  --history <filter>  ${HISTORY_FILTERS.join(' or ')}: questions answered wrong last time, or never seen
+  --count <n>         Stop after n questions
+  --balanced          Draw the --count questions in the proportions of the profile's exam blueprint
+  --seed <text>       Shuffle options (and sheet questions) the same way every time
+
+Printable quiz:
+  --sheet             Print a shuffled quiz sheet followed by its answer key
+  --key-file <path>   Write the answer key to this file instead
+
+Other:
+  --data <dir>        Data directory (default: data/)
+  --progress <path>   Progress file (default: ${DEFAULT_PROGRESS_FILE})
+  --list-profiles     List the profiles in the manifest
+  --list-tags         List the tags of the selected profile
+  --coverage          Show how many questions each exam domain has in every profile
+  --help              Show this help`;
+
+const OPTIONS = {
+    profile: { type: 'string', default: 'all' },
+    tags: { type: 'string', default: '' },
+    query: { type: 'string', default: '' },
+    text: { type: 'string', default: '' },
+    type: { type: 'string', default: '' },
+    file: { type: 'string', default: '' },
+    history: { type: 'string', default: '' },
+    count: { type: 'string' },
+    balanced: { type: 'boolean', default: false },
+    seed: { type: 'string' },
+    sheet: { type: 'boolean', default: false },
+    'key-file': { type: 'string' },
+    data: { type: 'string', default: path.join(ROOT_DIR, 'data') },
+    progress: { type: 'string', default: DEFAULT_PROGRESS_FILE },
+    'list-profiles': { type: 'boolean', default: false },
+    'list-tags': { type: 'boolean', default: false },
+    coverage: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+};
+
+// Storage with the localStorage interface, kept in a JSON file. Values are stored
+// as parsed JSON so the file stays readable.
+function createFileStorage(file) {
+    const items = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+    return {
+        getItem: key => (key in items ? JSON.stringify(items[key]) : null),
+        setItem: (key, value) => {
+            items[key] = JSON.parse(value);
+            writeFileSync(file, `${JSON.stringify(items, null, 2)}\n`);
+        }
+    };
+}
+
+// Wrap text to the terminal width, keeping existing line breaks
+function wrap(text, indent = '') {
+    const width = Math.max(40, Math.min(process.stdout.columns || 80, 100)) - indent.length;
+    return text.split('\n').map(paragraph => {
+        const lines = [];
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            if (line && line.length + word.length + 1 > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        lines.push(line);
+        return lines.map(l => indent + l).join('\n');
+    }).join('\n');
+}
+
+// Letters of the given options when shown in optionOrder
+function formatLetters(indices, optionOrder) {
+    return indices.map(index => LETTERS[optionOrder.indexOf(index)]).sort().join(', ');
+}
+
+function formatPercent(correct, total) {
+    return total === 0 ? '-' : `${Math.round(100 * correct / total)}%`;
+}
+
+// Parse answer letters such as "b", "A C" or "ac" for options shown in
+// optionOrder into the original option indices. Returns null if a letter is not
+// one of the options.
+function parseLetters(input, optionOrder) {
+    const letters = input.toUpperCase().replace(/[\s,]+/g, '').split('');
+    const positions = letters.map(letter => LETTERS.indexOf(letter));
+    if (positions.some(position => position === -1 || position >= optionOrder.length)) return null;
+    return Array.from(new Set(positions.map(position => optionOrder[position])));
+}
+
+function printQuestion(question, heading, optionOrder, note) {
+    console.log(`\n${heading}  [${question.tags.join(', ')}]`);
+    console.log(wrap(question.question));
+    if (question.type === 'multiple-choice') {
+        console.log();
+        optionOrder.forEach((index, position) => {
+            console.log(wrap(`${LETTERS[position]}) ${question.options[index]}`, '     ').replace('     ', '  '));
+        });
+    }
+    if (note) console.log(`\n${wrap(`My note: ${note}`)}`);
+}
+
+// Ask a multiple choice question until a valid answer, skip or quit is given
+async function askMultipleChoice(ask, engine, question) {
+    const optionOrder = engine.currentOptionOrder;
+    const required = getCorrectIndices(question).length;
+    const range = `A-${LETTERS[question.options.length - 1]}`;
+    const prompt = required > 1
+        ? `\nChoose ${required} letters (${range}), s to skip, q to quit: `
+        : `\nYour answer (${range}), s to skip, q to quit: `;
+
+    for (;;) {
+        const input = (await ask(prompt)).trim().toLowerCase();
+        if (input === 'q' || input === 's') return input;
+
+        const selected = parseLetters(input, optionOrder);
+        if (!selected || selected.length !== required) {
+            console.log(required > 1 ? `Please choose ${required} different letters from ${range}.` : `Please choose one letter from ${range}.`);
+            continue;
+        }
+
+        const { correct, correctIndices } = engine.answerQuestion(question, selected);
+        console.log(correct ? '\nCorrect!' : `\nIncorrect. The answer is ${formatLetters(correctIndices, optionOrder)}.`);
+        if (question.explanation) console.log(wrap(question.explanation));
+        return null;
+    }
+}
+
+// Ask for a typed answer, reveal the reference answer with the key terms the
+// typed answer mentioned or missed, and ask the user to grade themselves
+async function askOpenEnded(ask, engine, question) {
+    const input = (await ask('\nType your answer (or press Enter to reveal), s to skip, q to quit:\n> ')).trim();
+    if (input === 'q' || input === 's') return input;
+
+    engine.revealAnswer(question, input);
+    console.log(`\n${wrap(question.answer)}`);
+
+    const results = input ? matchKeyTerms(question.answer, input) : [];
+    if (results.length > 0) {
+        const matched = results.filter(result => result.matched);
+        console.log(`\nKey terms mentioned (${matched.length} of ${results.length}): ${matched.map(result => result.term).join(', ') || '-'}`);
+        const missed = results.filter(result => !result.matched);
+        if (missed.length > 0) console.log(`Key terms missed: ${missed.map(result => result.term).join(', ')}`);
+    }
+
+    const grades = Object.keys(RECALL_GRADES);
+    const choices = grades.map((grade, index) => `${index + 1}) ${grade[0].toUpperCase()}${grade.slice(1)}`).join('  ');
+    for (;;) {
+        const rating = (await ask(`\nHow well did you know it? ${choices}: `)).trim();
+        if (rating === 'q') return 'q';
+
+        const grade = grades[Number(rating) - 1];
+        if (grade) {
+            engine.rateRecall(question, grade);
+            return null;
+        }
+        console.log(`Please enter a number from 1 to ${grades.length}.`);
+    }
+}
+
+function printSummary(engine, sessionStart, startedAt) {
+    const attempts = engine.attempts.slice(sessionStart);
+    const graded = attempts.filter(attempt => attempt.correct !== null);
+    const correct = graded.filter(attempt => attempt.correct).length;
+    const minutes = Math.round((Date.now() - startedAt) / 60000);
+
+    console.log('\nSession summary');
+    console.log('---------------');
+    if (attempts.length === 0) {
+        console.log('No questions answered.');
+        return;
+    }
+    console.log(`Answered: ${attempts.length} question(s) in ${minutes} minute(s)`);
+    if (graded.length > 0) {
+        console.log(`Correct: ${correct} of ${graded.length} graded (${formatPercent(correct, graded.length)})`);
+    }
+    if (graded.length < attempts.length) {
+        console.log(`Not graded: ${attempts.length - graded.length}`);
+    }
+
+    const byTag = Array.from(summarizeAttempts(attempts, attempt => attempt.tags).entries())
+        .filter(([, group]) => group.correct < group.total)
+        .sort(([, a], [, b]) => a.correct / a.total - b.correct / b.total)
+        .slice(0, 5);
+    if (byTag.length > 0) {
+        console.log('\nWeakest tags this session:');
+        byTag.forEach(([tag, group]) => console.log(`  ${tag}: ${group.correct} of ${group.total} (${formatPercent(group.correct, group.total)})`));
+    }
+
+    const wrong = graded.filter(attempt => !attempt.correct).map(attempt => attempt.questionUid);
+    if (wrong.length > 0) {
+        console.log('\nAnswered incorrectly:');
+        Array.from(new Set(wrong)).forEach(uid => console.log(`  ${uid}`));
+    }
+}
+
+// Interactive practice session
+async function runQuiz(engine, count, progressFile) {
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    const sessionStart = engine.attempts.length;
+    const startedAt = Date.now();
+
+    // Read answers through the line iterator so piped input isn't dropped. Ctrl+C
+    // and the end of input quit the session, which still prints the summary.
+    const lines = rl[Symbol.asyncIterator]();
+    rl.on('SIGINT', () => rl.close());
+    const ask = async prompt => {
+        process.stdout.write(prompt);
+        const { value, done } = await lines.next();
+        return done ? 'q' : value;
+    };
+
+    const { total } = engine.getProgress();
+    console.log(`${total} question(s) selected. Progress is saved to ${progressFile}.`);
+
+    while (count === undefined || engine.questionCounter < count) {
+        const question = engine.nextQuestion();
+        if (!question) {
+            const nextReview = engine.getNextReviewTime();
+            console.log(nextReview === null
+                ? '\nYou have answered all selected questions.'
+                : `\nYou're all caught up! The next review is due ${new Date(nextReview).toLocaleString()}.`);
+            break;
+        }
+
+        const { position, total: questionTotal, dueToday, newCount } = engine.getProgress();
+        printQuestion(question, `Question ${position} of ${questionTotal} (${dueToday} due today, ${newCount} new)`, engine.currentOptionOrder, engine.getNote(question));
+
+        const action = question.type === 'multiple-choice'
+            ? await askMultipleChoice(ask, engine, question)
+            : await askOpenEnded(ask, engine, question);
+        if (action === 'q') break;
+    }
+
+    rl.close();
+    printSummary(engine, sessionStart, startedAt);
+}
+
+// Print the questions per exam blueprint domain of every profile, marking the
+// domains whose share of the questions is well below their weight
+async function printCoverage(engine) {
+    const coverage = await engine.getCoverage();
+    coverage.forEach(profile => {
+        console.log(`\n${profile.name} (${profile.total} questions)`);
+        profile.domains
+            .filter(domain => domain.name !== OTHER_DOMAIN || domain.count > 0)
+            .forEach(domain => {
+                const target = domain.name === OTHER_DOMAIN ? '' : `target ${formatPercent(domain.weight, 1)}`;
+                const thin = domain.name !== OTHER_DOMAIN && domain.share < domain.weight * THIN_COVERAGE_RATIO ? '  << thin' : '';
+                console.log(`  ${domain.name.padEnd(40)} ${String(domain.count).padStart(4)} (${formatPercent(domain.count, profile.total).padStart(4)}, ${domain.multipleChoice} multiple choice)  ${target}${thin}`.trimEnd());
+            });
+    });
+}
+
+// Print a shuffled quiz sheet and its answer key, separated by a page break or
+// written to keyFile. balanced draws the questions in the proportions of the
+// profile's exam blueprint.
+function printSheet(engine, count = DEFAULT_SHEET_COUNT, keyFile, balanced = false) {
+    const random = engine.optionSeed === null ? Math.random : createSeededRandom(engine.optionSeed);
+    const questions = balanced
+        ? buildBlueprintQuestionSet(engine.filteredQuestions, count, engine.getBlueprint(), random)
+        : shuffleArray([...engine.filteredQuestions], random).slice(0, count);
+    const sheet = [];
+    const key = [];
+
+    const profile = engine.profiles[engine.profileId];
+    sheet.push(`AWS Certification Exam Practice - ${profile ? profile.name : 'All Questions'}`);
+    sheet.push(`${questions.length} question(s)`, '');
+
+    questions.forEach((question, index) => {
+        const number = `${index + 1}. `;
+        const indent = ' '.repeat(number.length);
+        // Most multiple response questions already say "(Choose TWO)"
+        const required = question.type === 'multiple-choice' ? getCorrectIndices(question).length : 1;
+        const choose = required > 1 && !/\(choose/i.test(question.question) ? ` (Choose ${required})` : '';
+        sheet.push(wrap(question.question + choose, indent).replace(indent, number));
+
+        if (question.type === 'multiple-choice') {
+            const optionOrder = engine.getOptionOrder(question);
+            optionOrder.forEach((optionIndex, position) => {
+                sheet.push(wrap(`[ ] ${LETTERS[position]}) ${question.options[optionIndex]}`, `${indent}    `).replace(`${indent}    `, indent));
+            });
+            key.push(`${number}${formatLetters(getCorrectIndices(question), optionOrder)}  (${question.uid})`);
+            if (question.explanation) key.push(wrap(question.explanation, indent));
+        } else {
+            sheet.push(`${indent}${'_'.repeat(60)}`, `${indent}${'_'.repeat(60)}`, `${indent}${'_'.repeat(60)}`);
+            key.push(`${number}(open-ended)  (${question.uid})`);
+            key.push(wrap(question.answer, indent));
+        }
+        sheet.push('');
+        key.push('');
+    });
+
+    const answerKey = ['Answer Key', '', ...key].join('\n');
+    if (keyFile) {
+        writeFileSync(keyFile, `${answerKey}\n`);
+        console.log(sheet.join('\n'));
+    } else {
+        // Form feed starts the answer key on a new page when printed
+        console.log(`${sheet.join('\n')}\n\f${answerKey}`);
+    }
+}
+
+async function main() {
+    const { values: options } = parseArgs({ options: OPTIONS });
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const count = options.count === undefined ? undefined : Number(options.count);
+    if (count !== undefined && (!Number.isInteger(count) || count <= 0)) {
+        throw new Error('--count must be a positive whole number');
+    }
+    if (options.balanced && count === undefined && !options.sheet) {
+        throw new Error('--balanced needs --count');
+    }
+    if (options.history && !HISTORY_FILTERS.includes(options.history)) {
+        throw new Error(`--history must be one of ${HISTORY_FILTERS.join(', ')}`);
+    }
+
+    const dataDir = path.resolve(options.data);
+    const readJson = async file => JSON.parse(await readFile(path.join(dataDir, file), 'utf8'));
+    const engine = createQuestionEngine({
+        readManifest: () => readJson('manifest.json'),
+        readQuestionFile: readJson,
+        readErrata: () => readJson(ERRATA_FILE).catch(error => {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }),
+        storage: createFileStorage(options.progress)
+    });
+    if (options.seed !== undefined) engine.optionSeed = options.seed;
+
+    await engine.loadManifest();
+    if (options['list-profiles']) {
+        console.log('all: All Questions');
+        Object.entries(engine.profiles).forEach(([profileId, profile]) => console.log(`${profileId}: ${profile.name}`));
+        return;
+    }
+    if (options.coverage) {
+        await printCoverage(engine);
+        return;
+    }
+
+    const { problems, failed } = await engine.loadProfile(options.profile);
+    failed.forEach(({ file, message }) => console.warn(`Could not load ${file}, its questions are left out: ${message}`));
+    if (problems.length > 0) {
+        console.warn(`Skipped ${problems.length} invalid question(s) or correction(s), run 'make validate' for details.`);
+    }
+
+    const availableTags = engine.getAvailableTags();
+    if (options['list-tags']) {
+        Array.from(availableTags).sort().forEach(tag => console.log(tag));
+        return;
+    }
+
+    const tags = options.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    const unknownTags = tags.filter(tag => !availableTags.has(tag));
+    if (unknownTags.length > 0) {
+        throw new Error(`Unknown tag(s) ${unknownTags.join(', ')}. Use --list-tags to see the tags of the profile.`);
+    }
+
+    engine.setQuery({
+        ...EMPTY_QUERY,
+        tags,
+        expression: options.query,
+        text: options.text,
+        type: options.type,
+        file: options.file,
+        history: options.history
+    });
+    if (engine.filteredQuestions.length === 0) {
+        throw new Error('No questions match the selected filters.');
+    }
+
+    if (options.sheet) {
+        printSheet(engine, count, options['key-file'], options.balanced);
+    } else {
+        if (options.balanced) engine.startPracticeSet(count);
+        await runQuiz(engine, count, options.progress);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// Development web server with optional team progress sync. Serves the app's
+// static files like `python3 -m http.server` and adds a small REST API under
+// /api/ where team members register, upload their attempts and fetch team stats
+// (lib/team-stats.mjs). The app finds the API by itself and keeps working
+// without it when the files are served by any other static server.
+//
+// Usage:
+//     node scripts/server.mjs                       # Serve on port 8000
+//     node scripts/server.mjs --port 3000 --store team.json
+//
+// API:
+//     GET  /api/status                   Check that sync is available
+//     POST /api/users                    Register with {"name": "..."}, returns {id, name}
+//     POST /api/users/<id>/attempts      Upload {"attempts": [...]} from the app
+//     GET  /api/stats/tags               Team accuracy per tag, weakest first
+//     GET  /api/stats/hardest?limit=10   Questions with the lowest team accuracy
+//     GET  /api/leaderboard              Users by current daily streak
+
+import { randomUUID } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { homedir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+    addAttempts,
+    createTeamData,
+    getHardestQuestions,
+    getLeaderboard,
+    getTagAccuracy,
+    registerUser
+} from '../lib/team-stats.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_STORE_FILE = path.join(homedir(), '.aws-exam-practice-team.json');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_HARDEST_LIMIT = 50;
+
+const USAGE = `Usage: node scripts/server.mjs [options]
+
+  --port <n>      Port to listen on (default: 8000)
+  --store <path>  File the team's progress is kept in (default: ${DEFAULT_STORE_FILE})
+  --help          Show this help`;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon'
+};
+
+// Error with the HTTP status to answer with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Team data kept in a JSON file. Writes are queued so they never overlap, and go
+// through a temporary file so a crash can't leave half a file behind.
+async function openStore(file) {
+    let data;
+    try {
+        data = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Cannot read ${file}: ${error.message}`);
+        data = createTeamData();
+    }
+
+    let pending = Promise.resolve();
+    return {
+        data,
+        save() {
+            pending = pending.then(async () => {
+                await writeFile(`${file}.tmp`, JSON.stringify(data));
+                await rename(`${file}.tmp`, file);
+            });
+            return pending;
+        }
+    };
+}
+
+// Read a JSON object from the request body. Throws a 400 error for anything else.
+async function readJsonBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body is too large');
+        chunks.push(chunk);
+    }
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Request body must be a JSON object');
+    return body;
+}
+
+function decodePath(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Invalid URL');
+    }
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+// Route an API request. Resolves to [status, body].
+async function handleApiRequest(request, url, store) {
+    const route = `${request.method} ${url.pathname}`;
+    const attemptsMatch = url.pathname.match(/^\/api\/users\/([^/]+)\/attempts$/);
+
+    if (route === 'GET /api/status') {
+        return [200, { ok: true, users: Object.keys(store.data.users).length }];
+    }
+    if (route === 'POST /api/users') {
+        const { name } = await readJsonBody(request);
+        let user;
+        try {
+            user = registerUser(store.data, name, randomUUID());
+        } catch (error) {
+            throw new HttpError(/taken/.test(error.message) ? 409 : 400, error.message);
+        }
+        await store.save();
+        return [201, user];
+    }
+    if (attemptsMatch && request.method === 'POST') {
+        const userId = decodePath(attemptsMatch[1]);
+        if (!store.data.users[userId]) throw new HttpError(404, 'Unknown user, register again');
+
+        const { attempts } = await readJsonBody(request);
+        if (!Array.isArray(attempts)) throw new HttpError(400, '"attempts" must be an array');
+        const received = addAttempts(store.data, userId, attempts);
+        await store.save();
+        return [200, { received, total: store.data.attempts[userId].length }];
+    }
+    if (route === 'GET /api/stats/tags') {
+        return [200, getTagAccuracy(store.data)];
+    }
+    if (route === 'GET /api/stats/hardest') {
+        const limit = Math.min(Number(url.searchParams.get('limit')) || 10, MAX_HARDEST_LIMIT);
+        return [200, getHardestQuestions(store.data, { limit })];
+    }
+    if (route === 'GET /api/leaderboard') {
+        return [200, getLeaderboard(store.data)];
+    }
+    throw new HttpError(404, `No API endpoint ${route}`);
+}
+
+// Serve a file from the app directory, index.html for directories. The store
+// file is never served, even when it is kept in the app directory.
+async function serveStaticFile(request, url, response, storeFile) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') throw new HttpError(405, 'Method not allowed');
+
+    let file = path.join(ROOT_DIR, decodePath(url.pathname));
+    if (file !== ROOT_DIR && !file.startsWith(`${ROOT_DIR}${path.sep}`)) throw new HttpError(403, 'Forbidden');
+    if (file === storeFile) throw new HttpError(404, 'Not found');
+
+    let info = await stat(file).catch(() => null);
+    if (info && info.isDirectory()) {
+        file = path.join(file, 'index.html');
+        info = await stat(file).catch(() => null);
+    }
+    if (!info || !info.isFile()) throw new HttpError(404, 'Not found');
+
+    // Open the file before sending the headers, so a file that can't be read is
+    // answered with a 500 error
+    let stream = null;
+    if (request.method !== 'HEAD') {
+        stream = createReadStream(file);
+        await new Promise((resolve, reject) => {
+            stream.once('open', resolve);
+            stream.once('error', reject);
+        });
+    }
+
+    response.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': info.size,
+        'Last-Modified': info.mtime.toUTCString()
+    });
+    if (!stream) {
+        response.end();
+        return;
+    }
+    // A read error after the headers are sent can only cut the response short
+    stream.on('error', error => {
+        console.error(`Cannot read ${file}: ${error.message}`);
+        response.destroy(error);
+    });
+    stream.pipe(response);
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8000' },
+            store: { type: 'string', default: DEFAULT_STORE_FILE },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error('--port must be a port number');
+    const storeFile = path.resolve(options.store);
+    const store = await openStore(storeFile);
+
+    const server = createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                const [status, body] = await handleApiRequest(request, url, store);
+                sendJson(response, status, body);
+            } else {
+                await serveStaticFile(request, url, response, storeFile);
+            }
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) console.error(error);
+            if (url.pathname.startsWith('/api/')) {
+                sendJson(response, status, { error: error.message });
+            } else {
+                response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(error.message);
+            }
+        }
+        console.log(`${request.method} ${url.pathname} ${response.statusCode}`);
+    });
+
+    server.listen(port, () => {
+        console.log(`Serving the app at http://localhost:${server.address().port}/`);
+        console.log(`Team progress is kept in ${storeFile}`);
+    });
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
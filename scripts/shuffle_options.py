@@ -4,6 +4,10 @@ Script to shuffle options in multiple-choice questions and update correct indice
 This script will process all *-questions.json files in the data directory by default,
 or a single specified file if provided as a command-line argument.
 
+The app now shuffles options each time a question is shown (see shuffleOptionOrder
+in lib/question-engine.mjs), so running this script is no longer needed. It only
+fixes a new order in the files, which is the same for every user.
+
 Usage:
     python3 shuffle_options.py                  # Process all question files
     python3 shuffle_options.py path/to/file.json # Process only the specified file
@@ -45,23 +49,28 @@ def shuffle_options_in_file(file_path: str) -> None:
     
     for question in questions:
         # Only process multiple-choice questions
-        if question.get("type") == "multiple-choice" and "options" in question and "correctIndex" in question:
+        if question.get("type") == "multiple-choice" and "options" in question and \
+                ("correctIndex" in question or "correctIndices" in question):
             mc_questions += 1
             
-            # Get the current correct answer and all options
-            correct_index = question["correctIndex"]
+            # Get the current correct answers and all options. Multiple response
+            # questions list several correct indices.
+            correct_indices = question.get("correctIndices", [question.get("correctIndex")])
             options = question["options"]
-            correct_answer = options[correct_index]
             
             # Create paired list of (option, is_correct)
-            option_pairs = [(option, i == correct_index) for i, option in enumerate(options)]
+            option_pairs = [(option, i in correct_indices) for i, option in enumerate(options)]
             
             # Shuffle the pairs
             random.shuffle(option_pairs)
             
-            # Update the question with shuffled options and new correct index
+            # Update the question with shuffled options and new correct indices
             question["options"] = [pair[0] for pair in option_pairs]
-            question["correctIndex"] = next(i for i, pair in enumerate(option_pairs) if pair[1])
+            new_indices = [i for i, pair in enumerate(option_pairs) if pair[1]]
+            if "correctIndices" in question:
+                question["correctIndices"] = new_indices
+            else:
+                question["correctIndex"] = new_indices[0]
             
             shuffled += 1
     
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+// Validate the question bank against the schema documented in template.md and
+// check that data/manifest.json matches the question files on disk. Questions are
+// checked with the same loader the web app uses (lib/question-loader.mjs), and
+// images referenced in their Markdown must exist in the data directory. The
+// corrections in data/errata.json must refer to existing questions and leave
+// them valid.
+//
+// Usage:
+//     node scripts/validate_questions.mjs                # Validate the data/ directory
+//     node scripts/validate_questions.mjs path/to/data   # Validate another data directory
+//
+// Exits with status 1 if any errors are found. Warnings are reported but do not fail.
+
+import { access, readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { findImagePaths, isImagePathAllowed } from '../lib/markdown.mjs';
+import {
+    applyErrata,
+    ERRATA_FILE,
+    findDuplicateQuestions,
+    prepareQuestions
+} from '../lib/question-loader.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEMPLATE_FILE = path.join(ROOT_DIR, 'template.md');
+const MANIFEST_FILE = 'manifest.json';
+const QUESTION_FILE_SUFFIX = '-questions.json';
+
+// Read the tag vocabulary from the "### Tags" section of template.md, where each
+// allowed tag is listed as "- `Tag` - description"
+function parseTagVocabulary(markdown) {
+    const tags = new Set();
+    let inTagsSection = false;
+
+    markdown.split('\n').forEach(line => {
+        if (/^###\s+Tags\b/.test(line)) {
+            inTagsSection = true;
+        } else if (/^##\s/.test(line)) {
+            inTagsSection = false;
+        } else if (inTagsSection) {
+            const match = line.match(/^\s*-\s+`([^`]+)`/);
+            if (match) tags.add(match[1]);
+        }
+    });
+
+    return tags;
+}
+
+async function readJson(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
+
+// Check a profile's exam blueprint: named domains with positive weights adding up
+// to 1 and tags from the vocabulary
+function checkBlueprint(profileId, blueprint, vocabulary, report) {
+    if (!Array.isArray(blueprint) || blueprint.length === 0) {
+        report.error(MANIFEST_FILE, null, `profile "${profileId}" blueprint must be a non-empty array of domains`);
+        return;
+    }
+
+    const names = new Set();
+    blueprint.forEach((domain, index) => {
+        const label = `profile "${profileId}" blueprint domain ${domain && domain.name ? `"${domain.name}"` : index + 1}`;
+        if (!domain || typeof domain.name !== 'string' || !domain.name.trim()) {
+            report.error(MANIFEST_FILE, null, `${label} has no name`);
+        } else if (names.has(domain.name)) {
+            report.error(MANIFEST_FILE, null, `${label} is listed twice`);
+        }
+        if (domain) names.add(domain.name);
+
+        if (!domain || typeof domain.weight !== 'number' || domain.weight <= 0) {
+            report.error(MANIFEST_FILE, null, `${label} weight must be a positive number`);
+        }
+        if (!domain || !Array.isArray(domain.tags) || domain.tags.length === 0) {
+            report.error(MANIFEST_FILE, null, `${label} must list at least one tag`);
+            return;
+        }
+        domain.tags
+            .filter(tag => !vocabulary.has(tag))
+            .forEach(tag => report.error(MANIFEST_FILE, null, `${label} tag "${tag}" is not in the vocabulary in template.md`));
+    });
+
+    const totalWeight = blueprint.reduce((sum, domain) => sum + (domain && typeof domain.weight === 'number' ? domain.weight : 0), 0);
+    if (Math.abs(totalWeight - 1) > 0.001) {
+        report.warning(MANIFEST_FILE, null, `profile "${profileId}" blueprint weights add up to ${Number(totalWeight.toFixed(3))}, not 1`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check the manifest against the question files that exist in the data directory
+function checkManifest(manifest, dataFiles, vocabulary, report) {
+    const existing = new Set(dataFiles);
+    const listed = new Set(Array.isArray(manifest.files) ? manifest.files : []);
+    const inProfiles = new Set();
+
+    if (!Array.isArray(manifest.files)) {
+        report.error(MANIFEST_FILE, null, '"files" must be an array of question files');
+    }
+    listed.forEach(file => {
+        if (!existing.has(file)) report.error(MANIFEST_FILE, null, `"files" lists ${file}, which does not exist`);
+    });
+
+    const profiles = manifest.profiles || {};
+    if (!isPlainObject(profiles)) {
+        report.error(MANIFEST_FILE, null, '"profiles" must be an object of profiles by id');
+    }
+    Object.entries(isPlainObject(profiles) ? profiles : {}).forEach(([profileId, profile]) => {
+        if (!isPlainObject(profile)) {
+            report.error(MANIFEST_FILE, null, `profile "${profileId}" must be an object`);
+            return;
+        }
+        if (!profile.name) report.error(MANIFEST_FILE, null, `profile "${profileId}" has no name`);
+        if (!Array.isArray(profile.files) || profile.files.length === 0) {
+            report.error(MANIFEST_FILE, null, `profile "${profileId}" has no files`);
+            return;
+        }
+
+        profile.files.forEach(file => {
+            inProfiles.add(file);
+            if (!existing.has(file)) {
+                report.error(MANIFEST_FILE, null, `profile "${profileId}" lists ${file}, which does not exist`);
+            }
+        });
+
+        Object.entries(profile.exam || {}).forEach(([setting, value]) => {
+            if (typeof value !== 'number' || value <= 0) {
+                report.error(MANIFEST_FILE, null, `profile "${profileId}" exam setting "${setting}" must be a positive number`);
+            }
+        });
+
+        if (profile.blueprint !== undefined) checkBlueprint(profileId, profile.blueprint, vocabulary, report);
+    });
+
+    dataFiles.forEach(file => {
+        if (!listed.has(file)) {
+            report.error(MANIFEST_FILE, null, `${file} is not in "files", so it is missing from All Questions`);
+        }
+        if (!inProfiles.has(file)) {
+            report.warning(MANIFEST_FILE, null, `${file} is not used by any profile`);
+        }
+    });
+}
+
+// Check that every erratum refers to a question in the data directory, is well
+// formed and leaves the question valid
+function checkErrata(errata, questions, report) {
+    if (!isPlainObject(errata)) {
+        report.error(ERRATA_FILE, null, 'must be an object mapping question uids to corrections');
+        return;
+    }
+
+    const questionsByUid = new Map(questions.map(question => [question.uid, question]));
+    Object.entries(errata).forEach(([uid, erratum]) => {
+        const question = questionsByUid.get(uid);
+        if (!question) {
+            report.error(ERRATA_FILE, uid, 'no question has this uid (file#id)');
+            return;
+        }
+        applyErrata([question], { [uid]: erratum }).problems
+            .forEach(({ message }) => report.error(ERRATA_FILE, uid, message));
+    });
+}
+
+// Check that the images referenced in a question's text exist in the data directory
+async function checkImages(question, dataDir, file, report) {
+    const texts = [question.question, question.explanation, question.answer, ...(question.options || [])];
+    const paths = texts.filter(Boolean).flatMap(findImagePaths);
+
+    for (const imagePath of paths) {
+        if (!isImagePathAllowed(imagePath)) {
+            report.error(file, question.id, `image ${imagePath} must be an image file path relative to the data directory`);
+            continue;
+        }
+        try {
+            await access(path.join(dataDir, imagePath));
+        } catch {
+            report.error(file, question.id, `image ${imagePath} does not exist in the data directory`);
+        }
+    }
+}
+
+// Collects problems grouped by file
+function createReport() {
+    const problems = new Map();
+    const add = (level, file, id, message) => {
+        if (!problems.has(file)) problems.set(file, []);
+        problems.get(file).push({ level, id, message });
+    };
+
+    return {
+        problems,
+        error: (file, id, message) => add('error', file, id, message),
+        warning: (file, id, message) => add('warning', file, id, message),
+        count: level => Array.from(problems.values()).flat().filter(problem => problem.level === level).length
+    };
+}
+
+function printReport(report, questionCount, fileCount) {
+    Array.from(report.problems.keys()).sort().forEach(file => {
+        console.log(file);
+        report.problems.get(file).forEach(({ level, id, message }) => {
+            console.log(`  ${level.padEnd(7)} ${id ? `${id}: ` : ''}${message}`);
+        });
+        console.log();
+    });
+
+    const errors = report.count('error');
+    const warnings = report.count('warning');
+    console.log(`Checked ${questionCount} question(s) in ${fileCount} file(s): ${errors} error(s), ${warnings} warning(s).`);
+}
+
+async function main() {
+    const dataDir = path.resolve(process.argv[2] || path.join(ROOT_DIR, 'data'));
+    const report = createReport();
+    const vocabulary = parseTagVocabulary(await readFile(TEMPLATE_FILE, 'utf8'));
+
+    const dataFiles = (await readdir(dataDir)).filter(file => file.endsWith(QUESTION_FILE_SUFFIX)).sort();
+
+    let manifest;
+    try {
+        manifest = await readJson(path.join(dataDir, MANIFEST_FILE));
+    } catch (error) {
+        report.error(MANIFEST_FILE, null, `cannot be read: ${error.message}`);
+    }
+    if (isPlainObject(manifest)) {
+        checkManifest(manifest, dataFiles, vocabulary, report);
+    } else if (manifest !== undefined) {
+        report.error(MANIFEST_FILE, null, 'must be an object with "profiles" and "files"');
+    }
+
+    const allQuestions = [];
+    for (const file of dataFiles) {
+        let data;
+        try {
+            data = await readJson(path.join(dataDir, file));
+        } catch (error) {
+            report.error(file, null, `cannot be parsed: ${error.message}`);
+            continue;
+        }
+
+        const { questions, problems } = prepareQuestions(data, file);
+        problems.forEach(({ id, message }) => report.error(file, id, message));
+
+        for (const question of questions) {
+            question.tags
+                .filter(tag => !vocabulary.has(tag))
+                .forEach(tag => report.error(file, question.id, `tag "${tag}" is not in the vocabulary in template.md`));
+            await checkImages(question, dataDir, file, report);
+        }
+
+        allQuestions.push(...questions);
+    }
+
+    findDuplicateQuestions(allQuestions).forEach(({ kind, first, second, similarity }) => {
+        const message = `${kind} of ${first.uid}${kind === 'near duplicate' ? ` (${Math.round(similarity * 100)}% similar)` : ''}`;
+        if (kind === 'near duplicate') {
+            report.warning(second.sourceFile, second.id, message);
+        } else {
+            report.error(second.sourceFile, second.id, message);
+        }
+    });
+
+    let errata = null;
+    try {
+        errata = await readJson(path.join(dataDir, ERRATA_FILE));
+    } catch (error) {
+        if (error.code !== 'ENOENT') report.error(ERRATA_FILE, null, `cannot be read: ${error.message}`);
+    }
+    if (errata) checkErrata(errata, allQuestions, report);
+
+    printReport(report, allQuestions.length, dataFiles.length);
+    process.exitCode = report.count('error') > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,185 @@
+// Service worker that keeps the app usable offline. On install it caches the app
+// shell and every question file listed in data/manifest.json. The manifest itself
+// is fetched from the network whenever possible; when it has changed, all question
+// files are downloaded again so the cache always matches the latest manifest.
+// The errata next to the manifest are also fetched from the network first, so
+// corrections reach users straight away.
+//
+// Bump CACHE_VERSION when adding files to SHELL_FILES.
+
+const CACHE_VERSION = 'v6';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'question-data';
+const CDN_CACHE = 'cdn-assets';
+const MANIFEST_URL = new URL('data/manifest.json', self.registration.scope).href;
+const ERRATA_URL = new URL('data/errata.json', self.registration.scope).href;
+const FONT_AWESOME_URL = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'main.js',
+    'lib/question-engine.mjs',
+    'lib/question-loader.mjs',
+    'lib/question-import.mjs',
+    'lib/question-query.mjs',
+    'lib/markdown.mjs',
+    'lib/answer-keywords.mjs',
+    'lib/team-stats.mjs',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+// All question files referenced by the manifest, in profiles or the top-level list
+function getManifestFiles(manifest) {
+    const files = new Set(manifest.files || []);
+    Object.values(manifest.profiles || {}).forEach(profile => {
+        (profile.files || []).forEach(file => files.add(file));
+    });
+    return Array.from(files).map(file => new URL(`data/${file}`, self.registration.scope).href);
+}
+
+// Download every question file in the manifest and drop files it no longer lists
+async function cacheQuestionFiles(manifestResponse) {
+    const cache = await caches.open(DATA_CACHE);
+    const manifest = await manifestResponse.clone().json();
+    const fileUrls = getManifestFiles(manifest);
+
+    await cache.addAll(fileUrls);
+    await cache.put(MANIFEST_URL, manifestResponse);
+
+    const keep = new Set([MANIFEST_URL, ERRATA_URL, ...fileUrls]);
+    const cached = await cache.keys();
+    await Promise.all(cached.filter(request => !keep.has(request.url)).map(request => cache.delete(request)));
+}
+
+// Cache the Font Awesome stylesheet. Its fonts are cached when the page first
+// loads them. This is best effort: the app still works offline without icons.
+async function cacheFontAwesome() {
+    try {
+        const cache = await caches.open(CDN_CACHE);
+        const response = await fetch(new Request(FONT_AWESOME_URL, { mode: 'no-cors' }));
+        await cache.put(FONT_AWESOME_URL, response);
+    } catch (error) {
+        console.warn('Could not cache Font Awesome:', error);
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shellCache = await caches.open(SHELL_CACHE);
+        await shellCache.addAll(SHELL_FILES);
+        await cacheQuestionFiles(await fetch(MANIFEST_URL, { cache: 'no-cache' }));
+        await cacheFontAwesome();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Manifest: network first. When it differs from the cached copy, refresh all
+// question files in the background.
+async function handleManifestRequest(event) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(event.request, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`Manifest request failed with ${response.status}`);
+
+        const cached = await cache.match(MANIFEST_URL);
+        const [latest, previous] = await Promise.all([
+            response.clone().text(),
+            cached ? cached.text() : null
+        ]);
+        if (latest !== previous) {
+            event.waitUntil(cacheQuestionFiles(response.clone()).catch(error => {
+                console.warn('Could not refresh question files:', error);
+            }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(MANIFEST_URL);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Errata: network first, falling back to the cached copy when offline
+async function handleNetworkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Question files and CDN assets: cache first, caching whatever the network returns
+async function handleCacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// App shell: serve the cached copy straight away and update it in the background
+async function handleShellRequest(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Shared links add query parameters to the page URL, cache the page without them
+    const isNavigation = event.request.mode === 'navigate';
+    const url = new URL(event.request.url);
+    const cacheKey = isNavigation ? `${url.origin}${url.pathname}` : event.request;
+    const cached = await cache.match(cacheKey);
+
+    const update = fetch(event.request).then(async (response) => {
+        if (response.ok && cached) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // The sync server's API is network only
+    if (url.origin === self.location.origin && url.pathname.includes('/api/')) return;
+    if (url.href === MANIFEST_URL) {
+        event.respondWith(handleManifestRequest(event));
+    } else if (url.href === ERRATA_URL) {
+        event.respondWith(handleNetworkFirst(request, DATA_CACHE));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/data/')) {
+        event.respondWith(handleCacheFirst(request, DATA_CACHE));
+    } else if (url.origin === 'https://cdnjs.cloudflare.com') {
+        event.respondWith(handleCacheFirst(request, CDN_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(handleShellRequest(event));
+    }
+});
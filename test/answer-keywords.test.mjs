@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    extractKeyTerms,
+    getTermPattern,
+    matchKeyTerms
+} from '../lib/answer-keywords.mjs';
+
+describe('extractKeyTerms', () => {
+    test('finds service names, acronyms and code without AWS prefixes', () => {
+        assert.deepEqual(
+            extractKeyTerms('Use **Amazon S3** with `s3:GetObject`, CloudFront signed URLs and an Application Load Balancer in a Multi-AZ VPC. Amazon Route 53 routes traffic.'),
+            ['s3:GetObject', 'S3', 'CloudFront', 'URLs', 'Application Load Balancer', 'Multi-AZ', 'VPC', 'Route 53']
+        );
+    });
+
+    test('skips capitalized words that start sentences, list items and headings', () => {
+        assert.deepEqual(
+            extractKeyTerms('Patterns include: 1) Using Step Functions; 2) Leveraging AWS Lambda.\n\n**Disable IMDS If Not Needed**: it is the MOST secure.'),
+            ['Step Functions', 'Lambda', 'IMDS']
+        );
+    });
+
+    test('lists each term once, ignoring case and plurals', () => {
+        assert.deepEqual(extractKeyTerms('An ENI per EC2 instance. ENIs and eni limits.\n\n```bash\naws ec2 describe-network-interfaces\n```'), ['ENI', 'EC2']);
+    });
+});
+
+test('getTermPattern matches whole words in any case with plurals and hyphens', () => {
+    const pattern = getTermPattern('Application Load Balancer');
+    assert.ok(pattern.test('an application-load balancers setup'));
+    assert.ok(getTermPattern('URLs').test('a signed URL'));
+    assert.equal(getTermPattern('S3').test('SSE-S3x'), false);
+});
+
+test('matchKeyTerms marks the terms the typed answer mentions', () => {
+    assert.deepEqual(matchKeyTerms('Store backups in Amazon S3 Glacier and copy them with AWS Backup.', 'put them in s3 glacier'), [
+        { term: 'S3 Glacier', matched: true },
+        { term: 'Backup', matched: false }
+    ]);
+});
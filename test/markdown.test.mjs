@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    findImagePaths,
+    highlightCode,
+    renderInlineMarkdown,
+    renderMarkdown
+} from '../lib/markdown.mjs';
+
+describe('renderMarkdown', () => {
+    test('renders plain text as one escaped paragraph', () => {
+        assert.equal(
+            renderMarkdown('Runs in <30 seconds with NEW_AND_OLD_IMAGES & 5 * 3 instances.'),
+            '<p>Runs in &lt;30 seconds with NEW_AND_OLD_IMAGES &amp; 5 * 3 instances.</p>'
+        );
+    });
+
+    test('never passes raw HTML or unsafe links through', () => {
+        const html = renderMarkdown('<img src=x onerror=alert(1)> [click](javascript:alert(1)) ![x](https://example.com/x.png)');
+        assert.doesNotMatch(html, /<img|<a /);
+        assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    });
+
+    test('renders headings, emphasis, links and paragraphs', () => {
+        assert.equal(
+            renderMarkdown('# Title\n\nUse **IAM roles** and _least privilege_.\nSee [docs](https://docs.aws.amazon.com/iam/).'),
+            '<h3>Title</h3>\n<p>Use <strong>IAM roles</strong> and <em>least privilege</em>.<br>' +
+            'See <a href="https://docs.aws.amazon.com/iam/" target="_blank" rel="noopener noreferrer">docs</a>.</p>'
+        );
+    });
+
+    test('renders nested tight lists and loose lists', () => {
+        assert.equal(
+            renderMarkdown('Steps:\n1. **Plan**:\n   - Base load\n   - Peaks\n2. Build'),
+            '<p>Steps:</p>\n<ol><li><strong>Plan</strong>:\n<ul><li>Base load</li><li>Peaks</li></ul></li><li>Build</li></ol>'
+        );
+        assert.equal(
+            renderMarkdown('- One\n\n- Two'),
+            '<ul><li><p>One</p></li><li><p>Two</p></li></ul>'
+        );
+    });
+
+    test('renders tables with alignment', () => {
+        assert.equal(
+            renderMarkdown('| Class | Cost |\n|---|--:|\n| Glacier | `$` |'),
+            '<table><thead><tr><th>Class</th><th style="text-align: right">Cost</th></tr></thead>' +
+            '<tbody><tr><td>Glacier</td><td style="text-align: right"><code>$</code></td></tr></tbody></table>'
+        );
+    });
+
+    test('highlights fenced JSON and shell code', () => {
+        const html = renderMarkdown('```json\n{"Effect": "Allow", "Count": 2}\n```\n\n```bash\naws s3 ls --recursive # list\n```');
+        assert.equal(html, [
+            '<pre class="code-block"><code class="language-json">{<span class="tok-key">&quot;Effect&quot;</span>: ' +
+            '<span class="tok-string">&quot;Allow&quot;</span>, <span class="tok-key">&quot;Count&quot;</span>: ' +
+            '<span class="tok-number">2</span>}</code></pre>',
+            '<pre class="code-block"><code class="language-bash"><span class="tok-command">aws</span> s3 ls ' +
+            '<span class="tok-flag">--recursive</span> <span class="tok-comment"># list</span></code></pre>'
+        ].join('\n'));
+    });
+
+    test('shows images from the data directory only', () => {
+        assert.equal(
+            renderInlineMarkdown('![VPC layout](diagrams/vpc_layout.png) ![x](../secret.png)'),
+            '<img src="data/diagrams/vpc_layout.png" alt="VPC layout" loading="lazy"> x'
+        );
+        assert.deepEqual(findImagePaths('![a](a.png) and ![b](../b.png)'), ['a.png', '../b.png']);
+    });
+});
+
+test('highlightCode detects JSON without a language and leaves other code escaped', () => {
+    assert.equal(highlightCode('[true]'), '[<span class="tok-literal">true</span>]');
+    assert.equal(highlightCode('x <- 1', 'r'), 'x &lt;- 1');
+});
@@ -0,0 +1,606 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, test } from 'node:test';
+import {
+    buildBlueprintQuestionSet,
+    createMemoryStorage,
+    createQuestionEngine,
+    createSeededRandom,
+    DAY_MS,
+    DEFAULT_BLUEPRINT,
+    DEFAULT_EXAM_SETTINGS,
+    getBlueprintQuotas,
+    RELEARN_DELAY_MS,
+    scoreExam,
+    shuffleOptionOrder,
+    summarizeAttempts,
+    updateReviewSchedule
+} from '../lib/question-engine.mjs';
+import { EMPTY_QUERY } from '../lib/question-query.mjs';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+const START = new Date(2024, 0, 15, 9, 0, 0).getTime();
+
+async function readFixture(file) {
+    return JSON.parse(await readFile(new URL(file, FIXTURES), 'utf8'));
+}
+
+// An engine over the fixture files with a clock the test controls. random()
+// always returns 0 so new questions are picked in file order.
+function createTestEngine(storage = createMemoryStorage()) {
+    const clock = { time: START };
+    const engine = createQuestionEngine({
+        readManifest: () => readFixture('manifest.json'),
+        readQuestionFile: readFixture,
+        storage,
+        now: () => clock.time,
+        random: () => 0
+    });
+    return { engine, clock, storage };
+}
+
+async function loadEngine(profileId = 'all') {
+    const setup = createTestEngine();
+    await setup.engine.loadProfile(profileId);
+    return setup;
+}
+
+const byId = (engine, id) => engine.questions.find(question => question.id === id);
+
+describe('loading profiles', () => {
+    test('loads every file in the manifest for "all"', async () => {
+        const { engine } = createTestEngine();
+        const { files, questions, problems } = await engine.loadProfile('all');
+
+        assert.deepEqual(files, ['networking-questions.json', 'storage-questions.json']);
+        assert.equal(questions.length, 5);
+        assert.equal(problems.length, 1);
+        assert.deepEqual(Object.keys(engine.profiles), ['networking', 'mixed']);
+        assert.equal(engine.filteredQuestions.length, 5);
+    });
+
+    test('tags questions with their source file and uid', async () => {
+        const { engine } = await loadEngine();
+        const question = byId(engine, 'sto-1');
+
+        assert.equal(question.sourceFile, 'storage-questions.json');
+        assert.equal(question.uid, 'storage-questions.json#sto-1');
+    });
+
+    test('skips invalid questions and reports them', async () => {
+        const { engine } = createTestEngine();
+        const { problems } = await engine.loadProfile('networking');
+
+        assert.equal(engine.questions.length, 3);
+        assert.deepEqual(problems, [{ file: 'networking-questions.json', id: 'net-4', message: 'missing "correctIndex"' }]);
+    });
+
+    test('keeps the loaded profile when another one fails to load', async () => {
+        const { engine } = await loadEngine('networking');
+
+        await assert.rejects(engine.loadProfile('missing'), /Profile missing not found/);
+        assert.equal(engine.profileId, 'networking');
+        assert.equal(engine.questions.length, 3);
+    });
+
+    test('applies the errata and leaves out retired questions', async () => {
+        const engine = createQuestionEngine({
+            readManifest: () => readFixture('manifest.json'),
+            readQuestionFile: readFixture,
+            readErrata: async () => ({
+                'storage-questions.json#sto-1': { correctIndex: 1, explanation: 'Corrected.', reason: 'Reported' },
+                'networking-questions.json#net-2': { retired: true },
+                'networking-questions.json#net-3': { correctIndex: 7 }
+            })
+        });
+        const { retired, problems } = await engine.loadProfile('all');
+
+        assert.deepEqual(retired, ['networking-questions.json#net-2']);
+        assert.equal(engine.questions.length, 4);
+        assert.deepEqual(byId(engine, 'sto-1').correctIndex, 1);
+        assert.equal(byId(engine, 'sto-1').explanation, 'Corrected.');
+        assert.equal(byId(engine, 'sto-1').corrected, true);
+        assert.equal(byId(engine, 'net-3').corrected, undefined);
+        assert.deepEqual(problems[1], {
+            file: 'networking-questions.json',
+            id: 'net-3',
+            message: 'erratum not applied: "correctIndex" does not apply to open-ended questions'
+        });
+    });
+
+    test('collects the tags of the loaded questions', async () => {
+        const { engine } = await loadEngine('networking');
+        assert.deepEqual(Array.from(engine.getAvailableTags()).sort(), ['Performance', 'Security', 'VPC & Networking']);
+    });
+
+    test('reads each file once across profiles and reads failed files again', async () => {
+        const reads = [];
+        let failing = 'storage-questions.json';
+        const engine = createQuestionEngine({
+            readManifest: () => readFixture('manifest.json'),
+            readQuestionFile: async file => {
+                reads.push(file);
+                if (file === failing) throw new Error('Network error');
+                return readFixture(file);
+            }
+        });
+
+        const { failed } = await engine.loadProfile('networking');
+        assert.deepEqual(failed, []);
+        const mixed = await engine.loadProfile('mixed');
+        assert.deepEqual(mixed.failed, [{ file: 'storage-questions.json', message: 'Network error' }]);
+        assert.equal(engine.questions.length, 3);
+
+        failing = null;
+        await engine.loadProfile('all');
+        assert.equal(engine.questions.length, 5);
+        assert.deepEqual(reads, ['networking-questions.json', 'storage-questions.json', 'storage-questions.json']);
+    });
+
+    test('shows questions as soon as the first file arrives', async () => {
+        const { engine } = createTestEngine();
+        const progress = [];
+        await engine.loadProfile('mixed', result => {
+            progress.push([result.pending, engine.filteredQuestions.length, Boolean(engine.loading)]);
+        });
+
+        assert.deepEqual(progress, [[1, 3, true], [0, 5, true]]);
+        assert.equal(engine.loading, null);
+    });
+
+    test('leaves a load overtaken by a newer one', async () => {
+        const { engine } = createTestEngine();
+        const [first, second] = await Promise.all([engine.loadProfile('mixed'), engine.loadProfile('networking')]);
+
+        assert.equal(first.superseded, true);
+        assert.equal(second.superseded, false);
+        assert.equal(engine.profileId, 'networking');
+        assert.equal(engine.questions.length, 3);
+    });
+
+    test('restores the session of a profile when switching back to it', async () => {
+        const { engine } = await loadEngine('networking');
+        engine.setQuery({ ...EMPTY_QUERY, expression: 'Security' });
+        const question = engine.nextQuestion();
+        engine.answerQuestion(question, [question.correctIndex]);
+
+        await engine.loadProfile('mixed');
+        assert.equal(engine.questionCounter, 0);
+        assert.equal(engine.query.expression, '');
+
+        const { restored } = await engine.loadProfile('networking');
+        assert.equal(restored, true);
+        assert.equal(engine.query.expression, 'Security');
+        assert.equal(engine.questionCounter, 1);
+        assert.equal(engine.currentQuestion.uid, question.uid);
+        assert.ok(engine.answeredQuestions.has(question.uid));
+    });
+});
+
+describe('filtering', () => {
+    test('applies tag expressions, text search and type filters', async () => {
+        const { engine } = await loadEngine();
+
+        engine.setQuery({ ...EMPTY_QUERY, expression: 'VPC & Networking NOT Security' });
+        assert.deepEqual(engine.filteredQuestions.map(q => q.id), ['net-2']);
+
+        engine.setQuery({ ...EMPTY_QUERY, text: 'instances', type: 'open-ended' });
+        assert.deepEqual(engine.filteredQuestions.map(q => q.id), ['net-3', 'sto-2']);
+
+        engine.setQuery({ ...EMPTY_QUERY, tags: ['Storage', 'Performance'] });
+        assert.deepEqual(engine.filteredQuestions.map(q => q.id), ['net-2', 'sto-1', 'sto-2']);
+    });
+
+    test('keeps the previous filter when the tag expression is invalid', async () => {
+        const { engine } = await loadEngine();
+        engine.setQuery({ ...EMPTY_QUERY, file: 'storage-questions.json' });
+
+        assert.throws(() => engine.setQuery({ ...EMPTY_QUERY, expression: '(Storage' }), /Missing closing parenthesis/);
+        assert.equal(engine.query.file, 'storage-questions.json');
+        assert.equal(engine.filteredQuestions.length, 2);
+    });
+
+    test('filters by answer history', async () => {
+        const { engine } = await loadEngine();
+        engine.answerQuestion(byId(engine, 'net-1'), [0]);
+        engine.answerQuestion(byId(engine, 'sto-1'), [2]);
+
+        engine.setQuery({ ...EMPTY_QUERY, history: 'wrong' });
+        assert.deepEqual(engine.filteredQuestions.map(q => q.id), ['net-1']);
+
+        engine.setQuery({ ...EMPTY_QUERY, history: 'unseen' });
+        assert.deepEqual(engine.filteredQuestions.map(q => q.id), ['net-2', 'net-3', 'sto-2']);
+    });
+});
+
+describe('question selection', () => {
+    test('shows new questions before coming back to answered ones', async () => {
+        const { engine } = await loadEngine('networking');
+        const seen = [];
+
+        for (let question = engine.nextQuestion(); question; question = engine.nextQuestion()) {
+            seen.push(question.id);
+            if (question.type === 'multiple-choice') {
+                engine.answerQuestion(question, question.correctIndices || [question.correctIndex]);
+            } else {
+                engine.revealAnswer(question);
+                engine.rateRecall(question, 'good');
+            }
+        }
+
+        assert.deepEqual(seen, ['net-1', 'net-2', 'net-3']);
+        assert.equal(engine.nextQuestion(), null);
+        assert.equal(engine.getNextReviewTime(), START + DAY_MS);
+    });
+
+    test('brings forgotten questions back once they are due, most overdue first', async () => {
+        const { engine, clock } = await loadEngine('networking');
+        const [first, second, third] = engine.questions;
+
+        engine.answerQuestion(first, [0]);
+        clock.time += 60 * 1000;
+        engine.answerQuestion(second, [1]);
+        engine.revealAnswer(third);
+        engine.rateRecall(third, 'easy');
+
+        // Nothing is due yet, but the wrong answers come back later today
+        assert.equal(engine.nextQuestion(), first);
+
+        clock.time += RELEARN_DELAY_MS;
+        assert.equal(engine.nextQuestion(), second);
+        assert.equal(engine.nextQuestion(), first);
+    });
+
+    test('does not repeat the current question when there is a choice', async () => {
+        const { engine } = await loadEngine('networking');
+        const first = engine.nextQuestion();
+        engine.answerQuestion(first, [0]);
+
+        assert.notEqual(engine.nextQuestion(), first);
+    });
+});
+
+describe('grading and progress', () => {
+    test('grades single and multiple response questions', async () => {
+        const { engine } = await loadEngine('networking');
+
+        assert.deepEqual(engine.answerQuestion(byId(engine, 'net-1'), [1]), { correct: true, correctIndices: [1] });
+        assert.deepEqual(engine.answerQuestion(byId(engine, 'net-2'), [0]), { correct: false, correctIndices: [0, 2] });
+        assert.deepEqual(engine.answerQuestion(byId(engine, 'net-2'), [2, 0]), { correct: true, correctIndices: [0, 2] });
+        assert.deepEqual(engine.answerQuestion(byId(engine, 'net-2'), [0, 1]), { correct: false, correctIndices: [0, 2] });
+    });
+
+    test('records attempts with the time taken', async () => {
+        const { engine, clock } = await loadEngine('networking');
+        const question = engine.nextQuestion();
+        clock.time += 5000;
+        engine.answerQuestion(question, [1]);
+
+        assert.deepEqual(engine.attempts, [{
+            questionUid: 'networking-questions.json#net-1',
+            sourceFile: 'networking-questions.json',
+            profile: 'networking',
+            tags: ['VPC & Networking', 'Security'],
+            type: 'multiple-choice',
+            selectedIndices: [1],
+            correct: true,
+            timestamp: START + 5000,
+            timeTaken: 5000,
+            mode: 'practice'
+        }]);
+    });
+
+    test('grades revealed open-ended answers by their recall rating', async () => {
+        const { engine } = await loadEngine('networking');
+        const question = byId(engine, 'net-3');
+        engine.revealAnswer(question, 'Use security groups and NACLs');
+
+        assert.equal(engine.attempts[0].correct, null);
+        assert.equal(engine.attempts[0].typedAnswer, 'Use security groups and NACLs');
+        assert.equal(engine.schedule[question.uid], undefined);
+
+        engine.rateRecall(question, 'again');
+        assert.equal(engine.schedule[question.uid].due, START + RELEARN_DELAY_MS);
+        assert.deepEqual([engine.attempts[0].grade, engine.attempts[0].correct], ['again', false]);
+        assert.throws(() => engine.rateRecall(question, 'perfect'), /Unknown recall grade/);
+
+        engine.revealAnswer(question);
+        engine.rateRecall(question, 'hard');
+        assert.equal('typedAnswer' in engine.attempts[1], false);
+        assert.deepEqual(summarizeAttempts(engine.attempts, attempt => attempt.tags, START).get('Security'), {
+            total: 2, correct: 1, recentTotal: 2, recentCorrect: 1
+        });
+    });
+
+    test('counts questions shown, due today and new', async () => {
+        const { engine } = await loadEngine();
+        assert.deepEqual(engine.getProgress(), { position: 0, total: 5, dueToday: 0, newCount: 5 });
+
+        engine.answerQuestion(engine.nextQuestion(), [0]);
+        engine.answerQuestion(engine.nextQuestion(), [0, 2]);
+        assert.deepEqual(engine.getProgress(), { position: 2, total: 5, dueToday: 1, newCount: 3 });
+
+        // Changing the filter starts a new session
+        engine.setQuery({ ...EMPTY_QUERY, tags: ['Storage'] });
+        assert.deepEqual(engine.getProgress(), { position: 0, total: 2, dueToday: 0, newCount: 2 });
+    });
+
+    test('persists attempts and the schedule in storage', async () => {
+        const { engine, storage } = await loadEngine();
+        engine.answerQuestion(byId(engine, 'sto-1'), [2]);
+
+        const reloaded = createTestEngine(storage).engine;
+        assert.equal(reloaded.attempts.length, 1);
+        assert.equal(reloaded.schedule['storage-questions.json#sto-1'].interval, 1);
+
+        reloaded.resetProgress();
+        const cleared = createTestEngine(storage).engine;
+        assert.deepEqual(cleared.attempts, []);
+        assert.deepEqual(cleared.schedule, {});
+    });
+
+    test('starts with empty progress when storage holds invalid data', () => {
+        const storage = createMemoryStorage({ 'aws-exam-practice.attempts': '{not json' });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.deepEqual(createTestEngine(storage).engine.attempts, []);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+describe('session review', () => {
+    test('lists this session\'s answers and filters them', async () => {
+        const storage = createMemoryStorage();
+        const { engine: earlier } = createTestEngine(storage);
+        await earlier.loadProfile('networking');
+        earlier.answerQuestion(byId(earlier, 'net-1'), [0]);
+
+        // A new engine starts a new session with the same storage
+        const { engine } = createTestEngine(storage);
+        await engine.loadProfile('networking');
+        engine.answerQuestion(byId(engine, 'net-1'), [1]);
+        engine.answerQuestion(byId(engine, 'net-2'), [0, 1]);
+        engine.revealAnswer(byId(engine, 'net-3'));
+        assert.equal(engine.toggleFlag(byId(engine, 'net-3')), true);
+
+        const review = engine.getSessionReview();
+        assert.deepEqual(review.map(entry => [entry.question.id, entry.attempt.correct, entry.flagged]), [
+            ['net-1', true, false],
+            ['net-2', false, false],
+            ['net-3', null, true]
+        ]);
+        assert.deepEqual(engine.getSessionReview('incorrect').map(entry => entry.question.id), ['net-2']);
+        assert.deepEqual(engine.getSessionReview('flagged').map(entry => entry.question.id), ['net-3']);
+
+        assert.equal(engine.toggleFlag(byId(engine, 'net-3')), false);
+        assert.equal(engine.toggleFlag(byId(engine, 'net-1'), true), true);
+        assert.deepEqual(engine.getSessionReview('flagged').map(entry => entry.question.id), ['net-1']);
+    });
+
+    test('lists flagged questions skipped without an answer', async () => {
+        const { engine } = await loadEngine('networking');
+        engine.answerQuestion(byId(engine, 'net-1'), [0]);
+        engine.toggleFlag(byId(engine, 'net-2'));
+
+        assert.deepEqual(engine.getSessionReview().map(entry => [entry.question.id, entry.attempt && entry.attempt.correct, entry.flagged]), [
+            ['net-1', false, false],
+            ['net-2', null, true]
+        ]);
+        assert.deepEqual(engine.getSessionReview('flagged').map(entry => [entry.question.id, entry.attempt]), [['net-2', null]]);
+        assert.deepEqual(engine.getSessionReview('incorrect').map(entry => entry.question.id), ['net-1']);
+
+        // Answering it later replaces the unanswered entry
+        engine.answerQuestion(byId(engine, 'net-2'), [0, 2]);
+        assert.deepEqual(engine.getSessionReview('flagged').map(entry => [entry.question.id, entry.attempt.correct]), [['net-2', true]]);
+    });
+
+    test('keeps notes per question across sessions', async () => {
+        const { engine, storage } = await loadEngine();
+        const question = byId(engine, 'sto-1');
+        engine.setNote(question, 'Glacier is for archives');
+
+        const reloaded = createTestEngine(storage).engine;
+        assert.equal(reloaded.getNote(question), 'Glacier is for archives');
+        reloaded.resetProgress();
+        assert.equal(reloaded.getNote(question), 'Glacier is for archives');
+
+        reloaded.setNote(question, '  ');
+        assert.equal(createTestEngine(storage).engine.getNote(question), '');
+    });
+
+    test('keeps one issue report per question and category', async () => {
+        const { engine, storage } = await loadEngine();
+        const question = byId(engine, 'sto-1');
+        engine.reportIssue(question, 'wrong-answer', 'Should be Standard-IA');
+        engine.reportIssue(byId(engine, 'net-1'), 'outdated');
+        engine.reportIssue(question, 'wrong-answer', ' Deep Archive is right after all ');
+
+        const reloaded = createTestEngine(storage).engine;
+        assert.deepEqual(reloaded.getReports(question), [
+            { questionUid: 'storage-questions.json#sto-1', category: 'wrong-answer', comment: 'Deep Archive is right after all', timestamp: START }
+        ]);
+        assert.equal(reloaded.reports.length, 2);
+        assert.throws(() => engine.reportIssue(question, 'typo'), /Unknown issue category typo/);
+    });
+});
+
+describe('review schedule', () => {
+    test('grows intervals with SM-2 and resets on forgotten answers', () => {
+        let entry;
+        const intervals = [];
+        [4, 4, 4, 5].forEach(quality => {
+            entry = updateReviewSchedule(entry, quality, START);
+            intervals.push(entry.interval);
+        });
+        assert.deepEqual(intervals, [1, 6, 15, 38]);
+        assert.equal(entry.due, START + 38 * DAY_MS);
+
+        entry = updateReviewSchedule(entry, 1, START);
+        assert.equal(entry.repetitions, 0);
+        assert.equal(entry.due, START + RELEARN_DELAY_MS);
+        assert.ok(entry.easeFactor >= 1.3);
+    });
+});
+
+describe('option shuffling', () => {
+    const question = {
+        uid: 'test.json#q1',
+        options: ['EC2', 'S3', 'Lambda', 'RDS', 'None of the above', 'DynamoDB'],
+        pinnedOptions: [0]
+    };
+
+    test('keeps pinned options in place and shuffles the others', () => {
+        for (let i = 0; i < 20; i++) {
+            const order = shuffleOptionOrder(question, createSeededRandom(String(i)));
+            assert.equal(order[0], 0);
+            assert.equal(order[4], 4);
+            assert.deepEqual([...order].sort(), [0, 1, 2, 3, 4, 5]);
+        }
+    });
+
+    test('repeats the order for the same seed and question', async () => {
+        const { engine } = await loadEngine();
+        const net2 = byId(engine, 'net-2');
+
+        engine.optionSeed = 'week-1';
+        const order = engine.getOptionOrder(net2);
+        assert.deepEqual(engine.getOptionOrder(net2), order);
+
+        const seeds = Array.from({ length: 10 }, (_, i) => `seed-${i}`);
+        const orders = new Set(seeds.map(seed => shuffleOptionOrder(net2, createSeededRandom(seed)).join()));
+        assert.ok(orders.size > 1);
+    });
+
+    test('grades answers by the original option indices', async () => {
+        const { engine } = await loadEngine('networking');
+        const question = engine.nextQuestion();
+
+        // With random() always 0 the internet gateway (option 1) is shown first
+        assert.equal(question.id, 'net-1');
+        assert.deepEqual(engine.currentOptionOrder, [1, 2, 3, 0]);
+
+        const firstShown = engine.currentOptionOrder[0];
+        assert.equal(engine.answerQuestion(question, [firstShown]).correct, true);
+        assert.deepEqual(engine.attempts[0].selectedIndices, [1]);
+    });
+});
+
+describe('mock exams', () => {
+    test('uses the exam settings of the profile', async () => {
+        const { engine } = await loadEngine('networking');
+        assert.deepEqual(engine.getExamSettings(), { questionCount: 3, durationMinutes: 10, passingScore: 700 });
+        assert.deepEqual(engine.getExamSettings('mixed'), DEFAULT_EXAM_SETTINGS);
+    });
+
+    test('draws only multiple choice questions', async () => {
+        const { engine } = await loadEngine('networking');
+        const { settings, questions, optionOrders } = engine.buildExam();
+
+        assert.equal(settings.questionCount, 3);
+        assert.deepEqual(questions.map(q => q.id).sort(), ['net-1', 'net-2']);
+        assert.deepEqual(optionOrders.map(order => order.length), questions.map(q => q.options.length));
+    });
+
+    test('scores exams per domain and records answered questions', async () => {
+        const { engine } = await loadEngine();
+        const questions = ['net-1', 'net-2', 'sto-1'].map(id => byId(engine, id));
+        const score = engine.submitExam(questions, [[1], [0, 3], null], [1000, 2000, 0], 500);
+
+        assert.equal(score.correctCount, 1);
+        assert.equal(score.scaledScore, 400);
+        assert.equal(score.passed, false);
+        assert.deepEqual(Object.fromEntries(score.domainResults), {
+            'Design Secure Architectures': { correct: 1, total: 1 },
+            'Design High-Performing Architectures': { correct: 0, total: 1 },
+            'Design Cost-Optimized Architectures': { correct: 0, total: 1 }
+        });
+        assert.deepEqual(engine.attempts.map(a => [a.questionUid, a.correct, a.timeTaken, a.mode]), [
+            ['networking-questions.json#net-1', true, 1000, 'exam'],
+            ['networking-questions.json#net-2', false, 2000, 'exam']
+        ]);
+    });
+
+    test('scores an exam without questions as a fail', () => {
+        assert.deepEqual(scoreExam([], [], 700), {
+            results: [],
+            correctCount: 0,
+            total: 0,
+            scaledScore: 0,
+            passed: false,
+            domainResults: new Map()
+        });
+    });
+});
+
+describe('exam blueprints', () => {
+    const blueprint = [
+        { name: 'Storage', weight: 0.75, tags: ['Storage'] },
+        { name: 'Compute', weight: 0.25, tags: ['Compute'] }
+    ];
+    const makeQuestions = (tag, count) => Array.from({ length: count }, (_, index) => ({ uid: `${tag}-${index}`, tags: [tag] }));
+    const countByTag = questions => questions.reduce((counts, q) => ({ ...counts, [q.tags[0]]: (counts[q.tags[0]] || 0) + 1 }), {});
+
+    test('splits a set between domains by weight, adding up to the set size', () => {
+        assert.deepEqual(getBlueprintQuotas(DEFAULT_BLUEPRINT, 65), [19, 17, 16, 13]);
+        assert.deepEqual(getBlueprintQuotas([{ weight: 2 }, { weight: 1 }], 4), [3, 1]);
+    });
+
+    test('draws balanced sets and fills shortfalls from other questions', () => {
+        const questions = [...makeQuestions('Storage', 10), ...makeQuestions('Compute', 10), ...makeQuestions('IAM', 2)];
+        assert.deepEqual(countByTag(buildBlueprintQuestionSet(questions, 8, blueprint, () => 0)), { Storage: 6, Compute: 2 });
+
+        const few = [...makeQuestions('Storage', 3), ...makeQuestions('Compute', 10)];
+        const set = buildBlueprintQuestionSet(few, 8, blueprint, () => 0);
+        assert.equal(set.length, 8);
+        assert.deepEqual(countByTag(set), { Storage: 3, Compute: 5 });
+    });
+
+    test('uses the blueprint of the profile', async () => {
+        const { engine } = await loadEngine('networking');
+        assert.deepEqual(engine.getBlueprint().map(domain => domain.name), ['Network Security', 'Network Performance']);
+        assert.equal(engine.getBlueprint('mixed'), DEFAULT_BLUEPRINT);
+
+        const score = engine.submitExam([byId(engine, 'net-1'), byId(engine, 'net-2')], [[1], null], [1000, 0], 500);
+        assert.deepEqual(Object.fromEntries(score.domainResults), {
+            'Network Security': { correct: 1, total: 1 },
+            'Network Performance': { correct: 0, total: 1 }
+        });
+    });
+
+    test('shows a practice set once in order until the query changes', async () => {
+        const { engine } = await loadEngine('networking');
+        const set = engine.startPracticeSet(2);
+
+        assert.deepEqual(set.map(q => q.tags[1]).sort(), ['Performance', 'Security']);
+        assert.equal(engine.nextQuestion(), set[0]);
+        assert.equal(engine.nextQuestion(), set[1]);
+        assert.equal(engine.nextQuestion(), null);
+        assert.deepEqual(engine.getProgress(), { position: 2, total: 2, dueToday: 0, newCount: 2 });
+
+        engine.setQuery({ ...EMPTY_QUERY });
+        assert.equal(engine.practiceSet, null);
+        assert.equal(engine.getProgress().total, 3);
+    });
+
+    test('counts the questions per domain of every profile', async () => {
+        const { engine } = createTestEngine();
+        const coverage = await engine.getCoverage();
+
+        assert.deepEqual(coverage.map(profile => [profile.profileId, profile.total]), [['networking', 3], ['mixed', 5]]);
+        assert.deepEqual(coverage[0].domains.map(d => [d.name, d.weight, d.count, d.multipleChoice]), [
+            ['Network Security', 0.5, 2, 1],
+            ['Network Performance', 0.5, 1, 1],
+            ['Other Topics', 0, 0, 0]
+        ]);
+        assert.deepEqual(coverage[1].domains.map(d => [d.name, d.count, d.share]), [
+            ['Design Secure Architectures', 2, 0.4],
+            ['Design Resilient Architectures', 0, 0],
+            ['Design High-Performing Architectures', 1, 0.2],
+            ['Design Cost-Optimized Architectures', 1, 0.2],
+            ['Other Topics', 1, 0.2]
+        ]);
+    });
+});
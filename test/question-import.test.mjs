@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    detectImportFormat,
+    exportQuestionBank,
+    parseDelimited,
+    parseQuestionBank
+} from '../lib/question-import.mjs';
+import { applyErrata, prepareQuestions } from '../lib/question-loader.mjs';
+
+describe('CSV import', () => {
+    test('parses quoted cells with delimiters, quotes and line breaks', () => {
+        assert.deepEqual(parseDelimited('a,"b, ""c""",d\r\n"multi\nline",e,\n\n'), [
+            ['a', 'b, "c"', 'd'],
+            ['multi\nline', 'e', '']
+        ]);
+        assert.throws(() => parseDelimited('"open'), /Unclosed quote/);
+    });
+
+    test('converts rows into questions', () => {
+        const csv = [
+            'id,question,options,correct,explanation,answer,tags',
+            'q1,Pick one,A|B|C,b,Because,,S3|Storage',
+            'q2,Pick two,A|B|C|D,"A, D",Both,,S3',
+            ',Explain,,,,It depends,S3'
+        ].join('\n');
+        const questions = parseQuestionBank('bank.csv', csv, 'Bank');
+
+        assert.deepEqual(questions, [
+            { id: 'q1', type: 'multiple-choice', question: 'Pick one', options: ['A', 'B', 'C'], correctIndex: 1, explanation: 'Because', tags: ['S3', 'Storage'] },
+            { id: 'q2', type: 'multiple-choice', question: 'Pick two', options: ['A', 'B', 'C', 'D'], correctIndices: [0, 3], explanation: 'Both', tags: ['S3'] },
+            { id: 'q3', type: 'open-ended', question: 'Explain', answer: 'It depends', tags: ['S3'] }
+        ]);
+        assert.deepEqual(prepareQuestions(questions, 'bank.json').problems, []);
+    });
+
+    test('rejects unknown columns', () => {
+        assert.throws(() => parseQuestionBank('bank.csv', 'question,difficulty\nWhy?,hard', 'Bank'), /Unknown CSV column/);
+    });
+});
+
+describe('Anki import', () => {
+    test('reads plain text exports with header lines and HTML', () => {
+        const notes = '#separator:tab\n#html:true\n#tags column:3\nWhat is <b>EC2</b>?\tVirtual servers<br>in the cloud\tCompute EC2_Basics\nNo tags\tA &amp; B\t\n';
+
+        assert.deepEqual(parseQuestionBank('deck.txt', notes, 'My Deck'), [
+            { id: 'anki-1', type: 'open-ended', question: 'What is EC2?', answer: 'Virtual servers\nin the cloud', tags: ['Compute', 'EC2 Basics'] },
+            { id: 'anki-2', type: 'open-ended', question: 'No tags', answer: 'A & B', tags: ['My Deck'] }
+        ]);
+    });
+});
+
+test('detects the format from the file extension', () => {
+    assert.equal(detectImportFormat('Bank.JSON'), 'json');
+    assert.equal(detectImportFormat('deck.tsv'), 'anki');
+    assert.throws(() => detectImportFormat('bank.xlsx'), /Unsupported file type/);
+    assert.throws(() => parseQuestionBank('bank.json', '[', 'Bank'), /Invalid JSON/);
+});
+
+test('export strips load-time fields and keeps ids unique across files', () => {
+    const question = { id: 'q1', type: 'open-ended', question: 'Why?', answer: 'Because.', tags: ['S3'] };
+    const exported = JSON.parse(exportQuestionBank([
+        { ...question, sourceFile: 's3-questions.json', uid: 's3-questions.json#q1' },
+        { ...question, sourceFile: 'ec2-questions.json', uid: 'ec2-questions.json#q1' },
+        { ...question, id: 'q2', sourceFile: 'ec2-questions.json', uid: 'ec2-questions.json#q2' }
+    ]));
+
+    assert.deepEqual(exported.map(q => q.id), ['s3-q1', 'ec2-q1', 'q2']);
+    assert.deepEqual(Object.keys(exported[0]), ['id', 'type', 'question', 'answer', 'tags']);
+});
+
+test('export keeps errata corrections but not the corrected flag', () => {
+    const { questions } = prepareQuestions([{
+        id: 'q1',
+        type: 'multiple-choice',
+        question: 'Which service stores objects?',
+        options: ['Amazon EC2', 'Amazon S3'],
+        correctIndex: 0,
+        explanation: 'EC2 stores objects.',
+        tags: ['S3']
+    }], 's3-questions.json');
+    const corrected = applyErrata(questions, { 's3-questions.json#q1': { correctIndex: 1, explanation: 'S3 stores objects.' } }).questions;
+
+    const [exported] = JSON.parse(exportQuestionBank(corrected));
+    assert.equal(corrected[0].corrected, true);
+    assert.deepEqual(exported, {
+        id: 'q1',
+        type: 'multiple-choice',
+        question: 'Which service stores objects?',
+        options: ['Amazon EC2', 'Amazon S3'],
+        correctIndex: 1,
+        explanation: 'S3 stores objects.',
+        tags: ['S3']
+    });
+});
@@ -0,0 +1,152 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    applyErrata,
+    findDuplicateQuestions,
+    getProfileFiles,
+    loadProfileQuestions,
+    prepareQuestions,
+    validateErratum,
+    validateQuestion
+} from '../lib/question-loader.mjs';
+
+const multipleChoice = {
+    id: 'q1',
+    type: 'multiple-choice',
+    question: 'Which service stores objects?',
+    options: ['Amazon S3', 'Amazon EC2'],
+    correctIndex: 0,
+    explanation: 'S3 is object storage.',
+    tags: ['S3']
+};
+
+describe('validateQuestion', () => {
+    test('accepts valid questions', () => {
+        assert.deepEqual(validateQuestion(multipleChoice), []);
+        assert.deepEqual(validateQuestion({ id: 'q2', type: 'open-ended', question: 'Why?', answer: 'Because.', tags: ['S3'] }), []);
+    });
+
+    test('reports out of range and conflicting answers', () => {
+        assert.deepEqual(validateQuestion({ ...multipleChoice, correctIndex: 2 }), [
+            'correctIndex 2 is outside the options range (0-1)'
+        ]);
+        assert.deepEqual(validateQuestion({ ...multipleChoice, correctIndices: [0, 1] }), [
+            'use either "correctIndex" or "correctIndices", not both'
+        ]);
+        assert.deepEqual(validateQuestion({ ...multipleChoice, pinnedOptions: [1, 2] }), [
+            'pinnedOptions entry 2 is outside the options range (0-1)'
+        ]);
+    });
+
+    test('reports missing fields', () => {
+        assert.deepEqual(validateQuestion({ type: 'open-ended', tags: [] }), [
+            'missing "id"',
+            'missing "question" text',
+            '"tags" must be a non-empty array',
+            'missing "answer" text'
+        ]);
+    });
+});
+
+test('prepareQuestions skips invalid questions and duplicate ids', () => {
+    const { questions, problems } = prepareQuestions([multipleChoice, { ...multipleChoice }, { id: 'q3' }], 'test.json');
+
+    assert.deepEqual(questions.map(q => q.uid), ['test.json#q1']);
+    assert.deepEqual(problems.map(p => p.id), ['q1', 'q3', 'q3', 'q3']);
+    assert.deepEqual(problems[0], { file: 'test.json', id: 'q1', message: 'duplicate id "q1" in test.json' });
+});
+
+test('getProfileFiles resolves profiles and rejects unknown ones', () => {
+    const manifest = { files: ['a.json', 'b.json'], profiles: { one: { files: ['a.json'] }, empty: { files: [] } } };
+
+    assert.deepEqual(getProfileFiles(manifest, 'all'), ['a.json', 'b.json']);
+    assert.deepEqual(getProfileFiles(manifest, 'one'), ['a.json']);
+    assert.throws(() => getProfileFiles(manifest, 'two'), /Profile two not found/);
+    assert.throws(() => getProfileFiles(manifest, 'empty'), /No question files/);
+});
+
+test('findDuplicateQuestions detects exact and near duplicates across files', () => {
+    const { questions: first } = prepareQuestions([multipleChoice], 'a.json');
+    const { questions: second } = prepareQuestions([
+        { ...multipleChoice, question: 'Which service stores objects?!' },
+        { ...multipleChoice, id: 'q2', question: 'Which AWS service stores objects?' },
+        { ...multipleChoice, id: 'q3', question: 'Which service runs containers on demand?' }
+    ], 'b.json');
+
+    const duplicates = findDuplicateQuestions([...first, ...second]);
+    assert.deepEqual(duplicates.map(d => [d.kind, d.first.uid, d.second.uid]), [
+        ['duplicate', 'a.json#q1', 'b.json#q1'],
+        ['near duplicate', 'a.json#q1', 'b.json#q2'],
+        ['near duplicate', 'b.json#q1', 'b.json#q2']
+    ]);
+});
+
+describe('errata', () => {
+    const { questions } = prepareQuestions([
+        multipleChoice,
+        { ...multipleChoice, id: 'q2', options: ['A', 'B', 'C'], correctIndices: [0, 1], correctIndex: undefined },
+        { id: 'q3', type: 'open-ended', question: 'Why?', answer: 'Because.', tags: ['S3'] }
+    ].map(question => JSON.parse(JSON.stringify(question))), 'test.json');
+
+    test('validateErratum checks the fields', () => {
+        assert.deepEqual(validateErratum({ retired: true, reason: 'Duplicate' }), []);
+        assert.deepEqual(validateErratum({ explain: 'x' }), [
+            'unknown erratum field "explain"',
+            'erratum must retire the question or correct one of correctIndex, correctIndices, explanation, answer'
+        ]);
+        assert.deepEqual(validateErratum({ retired: 'yes', correctIndex: 1 }), ['"retired" must be true or false']);
+    });
+
+    test('applyErrata corrects answers and retires questions', () => {
+        const result = applyErrata(questions, {
+            'test.json#q1': { correctIndex: 1, explanation: 'EC2 it is.' },
+            'test.json#q2': { correctIndex: 2 },
+            'test.json#q3': { retired: true },
+            'other.json#q1': { retired: true }
+        });
+
+        assert.deepEqual(result.retired, ['test.json#q3']);
+        assert.deepEqual(result.problems, []);
+        assert.deepEqual(result.questions.map(q => [q.correctIndex, q.correctIndices, q.corrected]), [[1, undefined, true], [2, undefined, true]]);
+        assert.equal(result.questions[0].explanation, 'EC2 it is.');
+        assert.equal(questions[0].correctIndex, 0);
+    });
+
+    test('applyErrata keeps the question as it is when a correction is invalid', () => {
+        const result = applyErrata(questions, { 'test.json#q1': { correctIndex: 5 } });
+
+        assert.equal(result.questions[0], questions[0]);
+        assert.deepEqual(result.problems, [
+            { file: 'test.json', id: 'q1', message: 'erratum not applied: correctIndex 5 is outside the options range (0-1)' }
+        ]);
+    });
+});
+
+describe('loadProfileQuestions', () => {
+    const manifest = { profiles: {}, files: ['a.json', 'b.json', 'c.json'] };
+    const files = {
+        'a.json': [multipleChoice],
+        'c.json': [{ ...multipleChoice, id: 'q2' }]
+    };
+    const readQuestionFile = async file => {
+        if (!files[file]) throw new Error(`${file} not found`);
+        return JSON.parse(JSON.stringify(files[file]));
+    };
+
+    test('keeps loading when a file fails and reports it', async () => {
+        const result = await loadProfileQuestions(manifest, 'all', readQuestionFile);
+
+        assert.deepEqual(result.questions.map(question => question.uid), ['a.json#q1', 'c.json#q2']);
+        assert.deepEqual(result.failed, [{ file: 'b.json', message: 'b.json not found' }]);
+        assert.equal(result.pending, 0);
+    });
+
+    test('reports progress as each file arrives', async () => {
+        const progress = [];
+        await loadProfileQuestions(manifest, 'all', readQuestionFile, {}, result => {
+            progress.push([result.questions.length, result.failed.length, result.pending]);
+        });
+
+        assert.deepEqual(progress, [[1, 0, 2], [1, 1, 1], [2, 1, 0]]);
+    });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    EMPTY_QUERY,
+    isEmptyQuery,
+    matchesTagExpression,
+    parseSearchText,
+    parseTagExpression,
+    queryFromParams,
+    queryToParams
+} from '../lib/question-query.mjs';
+
+const matches = (expression, tags) => matchesTagExpression(parseTagExpression(expression), tags);
+
+describe('tag expressions', () => {
+    test('combine multi-word tags with AND, OR and NOT', () => {
+        assert.equal(matches('Storage AND Cost Optimization', ['Storage', 'Cost Optimization']), true);
+        assert.equal(matches('Storage AND Cost Optimization', ['Storage']), false);
+        assert.equal(matches('Storage OR Database', ['Database']), true);
+        assert.equal(matches('Storage NOT Database', ['Storage', 'Database']), false);
+        assert.equal(matches('NOT Database', ['Compute']), true);
+    });
+
+    test('bind AND tighter than OR and honor parentheses', () => {
+        assert.equal(matches('Security OR Compute AND Serverless', ['Security']), true);
+        assert.equal(matches('(Security OR Compute) AND Serverless', ['Security']), false);
+    });
+
+    test('match tags case-insensitively and allow quoted keywords', () => {
+        assert.equal(matches('storage', ['Storage']), true);
+        assert.equal(matches('"Resilience AND DR"', ['Resilience AND DR']), true);
+    });
+
+    test('treat an empty expression as matching everything', () => {
+        assert.equal(parseTagExpression('  '), null);
+        assert.equal(matches('', []), true);
+    });
+
+    test('report syntax errors', () => {
+        assert.throws(() => parseTagExpression('Storage AND'), /ends unexpectedly/);
+        assert.throws(() => parseTagExpression('(Storage'), /Missing closing parenthesis/);
+        assert.throws(() => parseTagExpression('Storage )'), /Unexpected \)/);
+        assert.throws(() => parseTagExpression('"Storage'), /Unclosed quote/);
+    });
+});
+
+test('search text splits into words and quoted phrases', () => {
+    assert.deepEqual(parseSearchText('Read "Read Replica" S3'), ['read', 'read replica', 's3']);
+});
+
+test('queries round-trip through URL parameters', () => {
+    const query = { ...EMPTY_QUERY, tags: ['S3', 'Storage'], expression: 'S3 NOT Glacier', text: 'lifecycle', history: 'wrong' };
+    const params = queryToParams('architect-associate', query);
+
+    assert.equal(params.toString(), 'profile=architect-associate&tag=S3&tag=Storage&q=S3+NOT+Glacier&text=lifecycle&history=wrong');
+    assert.deepEqual(queryFromParams(new URLSearchParams(params.toString())), { profile: 'architect-associate', query });
+    assert.deepEqual(queryFromParams(new URLSearchParams('history=bogus')), { profile: 'all', query: EMPTY_QUERY });
+    assert.equal(isEmptyQuery(EMPTY_QUERY), true);
+    assert.equal(isEmptyQuery(query), false);
+});
+
+test('tags with commas survive a shared link, and older comma-separated links still load', () => {
+    const query = { ...EMPTY_QUERY, tags: ['Storage, Archival', 'S3'] };
+    const params = new URLSearchParams(queryToParams('all', query).toString());
+
+    assert.deepEqual(queryFromParams(params).query.tags, ['Storage, Archival', 'S3']);
+    assert.deepEqual(queryFromParams(new URLSearchParams('tags=S3%2CStorage')).query.tags, ['S3', 'Storage']);
+});
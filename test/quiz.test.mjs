@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const QUIZ = fileURLToPath(new URL('../scripts/quiz.mjs', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+const tempDir = mkdtempSync(path.join(tmpdir(), 'quiz-'));
+const progressFile = path.join(tempDir, 'progress.json');
+
+// Run the quiz CLI over the fixtures with the given arguments and piped input
+function runQuiz(args, input = '') {
+    return spawnSync(process.execPath, [QUIZ, '--data', FIXTURES, '--progress', progressFile, ...args], {
+        input,
+        encoding: 'utf8',
+        timeout: 10000
+    });
+}
+
+// The lettered options printed for a question, by letter
+function readOptions(text) {
+    return Object.fromEntries(Array.from(text.matchAll(/([A-Z])\) (.+)/g), ([, letter, option]) => [letter, option]));
+}
+
+describe('quiz.mjs', () => {
+    after(() => rmSync(tempDir, { recursive: true, force: true }));
+
+    test('prints a quiz sheet with an answer key in the shown option order', () => {
+        const { status, stdout } = runQuiz(['--sheet', '--seed', 'week-1', '--type', 'multiple-choice']);
+        assert.equal(status, 0);
+
+        const [sheet, key] = stdout.split('\fAnswer Key');
+        const questions = sheet.split(/\n(?=\d+\. )/).slice(1);
+        const answers = {
+            'Which storage class is cheapest for data that is read once a year?': ['S3 Glacier Deep Archive'],
+            'Which TWO services can route traffic between VPCs? (Choose TWO.)': ['Transit gateway', 'VPC peering'],
+            'Which component lets instances in a public subnet reach the internet?': ['Internet gateway']
+        };
+        assert.equal(questions.length, 3);
+
+        questions.forEach((question, index) => {
+            const text = question.split('\n')[0].replace(/^\d+\. /, '');
+            const options = readOptions(question);
+            const letters = key.match(new RegExp(`^${index + 1}\\. ([A-Z, ]+?)  \\(`, 'm'))[1].split(', ');
+            assert.deepEqual(letters.map(letter => options[letter]).sort(), answers[text]);
+        });
+    });
+
+    test('reads piped answers, asks again for invalid ones and saves the attempt', () => {
+        const { status, stdout } = runQuiz(['--text', 'route traffic', '--count', '1', '--seed', 'week-1'], 'z\na\nab\n');
+        assert.equal(status, 0);
+
+        assert.match(stdout, /Please choose 2 different letters from A-D\.\n[^]*Please choose 2 different letters from A-D\./);
+        const options = readOptions(stdout.split('Choose 2 letters')[0]);
+        const answer = stdout.match(/The answer is ([A-Z, ]+)\./)[1].split(', ');
+        assert.deepEqual(answer.map(letter => options[letter]).sort(), ['Transit gateway', 'VPC peering']);
+
+        const progress = JSON.parse(readFileSync(progressFile, 'utf8'));
+        const [attempt] = progress['aws-exam-practice.attempts'];
+        assert.equal(attempt.questionUid, 'networking-questions.json#net-2');
+        assert.deepEqual(attempt.selectedIndices.map(index => ['VPC peering', 'Amazon S3', 'Transit gateway', 'Amazon SQS'][index]).sort(),
+            [options.A, options.B].sort());
+    });
+
+    test('exits with status 1 on an invalid tag query', () => {
+        const { status, stdout, stderr } = runQuiz(['--sheet', '--query', 'Storage AND (']);
+
+        assert.equal(status, 1);
+        assert.equal(stdout, '');
+        assert.match(stderr, /Tag query ends unexpectedly/);
+    });
+});
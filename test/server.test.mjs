@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = fileURLToPath(new URL('../scripts/server.mjs', import.meta.url));
+
+describe('server.mjs', () => {
+    let tempDir;
+    let storeFile;
+    let server;
+    let baseUrl;
+
+    // Send a request to the server. Resolves to the status and the parsed body.
+    async function request(method, pathname, body) {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: typeof body === 'string' ? body : body && JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: response.headers.get('Content-Type').includes('json') ? JSON.parse(text) : text };
+    }
+
+    function attempt(questionUid, correct, extra = {}) {
+        return { questionUid, tags: ['S3'], type: 'multiple-choice', correct, timestamp: Date.now(), ...extra };
+    }
+
+    before(async () => {
+        tempDir = await mkdtemp(path.join(tmpdir(), 'server-'));
+        storeFile = path.join(tempDir, 'team.json');
+        server = spawn(process.execPath, [SERVER, '--port', '0', '--store', storeFile]);
+
+        // Wait for the port the server picked
+        let output = '';
+        server.stdout.setEncoding('utf8');
+        while (!/localhost:(\d+)/.test(output)) {
+            const [chunk] = await once(server.stdout, 'data');
+            output += chunk;
+        }
+        baseUrl = `http://localhost:${output.match(/localhost:(\d+)/)[1]}`;
+    });
+
+    after(async () => {
+        server.kill();
+        await rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('registers users with unique names', async () => {
+        const ana = await request('POST', '/api/users', { name: ' Ana ' });
+        assert.equal(ana.status, 201);
+        assert.equal(ana.body.name, 'Ana');
+        assert.equal(typeof ana.body.id, 'string');
+
+        assert.deepEqual(await request('POST', '/api/users', { name: 'ana' }), { status: 409, body: { error: 'The name ana is already taken' } });
+        assert.equal((await request('POST', '/api/users', { name: '' })).status, 400);
+        assert.deepEqual((await request('GET', '/api/status')).body, { ok: true, users: 1 });
+    });
+
+    test('rejects request bodies that are not JSON objects', async () => {
+        for (const body of ['null', '[]', '"Ana"', '{"name":']) {
+            const { status, body: result } = await request('POST', '/api/users', body);
+            assert.equal(status, 400, body);
+            assert.match(result.error, /Invalid JSON|must be a JSON object/);
+        }
+    });
+
+    test('keeps the shared fields of uploaded attempts', async () => {
+        const { body: user } = await request('POST', '/api/users', { name: 'Ben' });
+        const upload = await request('POST', `/api/users/${user.id}/attempts`, {
+            attempts: [attempt('a.json#1', false, { typedAnswer: 'private', selectedIndices: [1] }), { questionUid: 'a.json#2' }]
+        });
+        assert.deepEqual(upload, { status: 200, body: { received: 1, total: 1 } });
+
+        const store = JSON.parse(await readFile(storeFile, 'utf8'));
+        assert.deepEqual(Object.keys(store.attempts[user.id][0]).sort(), ['correct', 'questionUid', 'tags', 'timestamp', 'type']);
+
+        assert.equal((await request('POST', `/api/users/${user.id}/attempts`, { attempts: 'all' })).status, 400);
+        assert.deepEqual(await request('POST', '/api/users/nobody/attempts', { attempts: [] }), {
+            status: 404,
+            body: { error: 'Unknown user, register again' }
+        });
+    });
+
+    test('serves the team stats and the leaderboard', async () => {
+        const { body: cleo } = await request('POST', '/api/users', { name: 'Cleo' });
+        await request('POST', `/api/users/${cleo.id}/attempts`, { attempts: [attempt('a.json#1', true), attempt('a.json#3', true)] });
+
+        const hardest = await request('GET', '/api/stats/hardest?limit=1');
+        assert.deepEqual(hardest.body, [{ questionUid: 'a.json#1', tags: ['S3'], total: 2, correct: 1, users: 2, accuracy: 0.5 }]);
+
+        const tags = await request('GET', '/api/stats/tags');
+        assert.deepEqual(tags.body.map(({ tag, total, correct }) => ({ tag, total, correct })), [{ tag: 'S3', total: 3, correct: 2 }]);
+
+        const { body: leaderboard } = await request('GET', '/api/leaderboard');
+        assert.deepEqual(leaderboard.map(user => [user.name, user.streak, user.answered]), [['Cleo', 1, 2], ['Ben', 1, 1], ['Ana', 0, 0]]);
+    });
+
+    test('serves the app files but not unknown routes', async () => {
+        const page = await request('GET', '/');
+        assert.equal(page.status, 200);
+        assert.match(page.body, /<html/i);
+
+        assert.equal((await request('GET', '/api/unknown')).status, 404);
+        assert.equal((await request('GET', '/missing.js')).status, 404);
+        assert.equal((await request('GET', '/%E0%A4%A')).status, 400);
+    });
+});
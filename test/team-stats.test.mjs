@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+    addAttempts,
+    createAttemptsUpload,
+    createTeamData,
+    getHardestQuestions,
+    getLeaderboard,
+    getStreak,
+    getTagAccuracy,
+    registerUser
+} from '../lib/team-stats.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 4, 15, 12).getTime();
+
+function attempt(questionUid, correct, timestamp, tags = ['S3']) {
+    return { questionUid, tags, type: 'multiple-choice', correct, timestamp, selectedIndices: [0] };
+}
+
+function createTeam() {
+    const data = createTeamData();
+    registerUser(data, 'Ana', 'u1', NOW);
+    registerUser(data, 'Ben', 'u2', NOW);
+    return data;
+}
+
+describe('registerUser', () => {
+    test('trims names and rejects empty or taken ones', () => {
+        const data = createTeam();
+        assert.deepEqual(registerUser(data, '  Cleo ', 'u3', NOW), { id: 'u3', name: 'Cleo' });
+        assert.throws(() => registerUser(data, ' ', 'u4'), /Name is required/);
+        assert.throws(() => registerUser(data, 'ana', 'u4'), /already taken/);
+        assert.throws(() => registerUser(data, 'x'.repeat(41), 'u4'), /at most 40/);
+    });
+});
+
+describe('addAttempts', () => {
+    test('keeps the shared fields of valid attempts only', () => {
+        const data = createTeam();
+        const received = addAttempts(data, 'u1', [
+            { ...attempt('a.json#1', null, NOW), typedAnswer: 'my notes' },
+            { questionUid: 'a.json#2' },
+            null
+        ]);
+        assert.equal(received, 1);
+        assert.deepEqual(data.attempts.u1, [{ questionUid: 'a.json#1', tags: ['S3'], type: 'multiple-choice', correct: null, timestamp: NOW }]);
+    });
+
+    test('replaces an attempt uploaded again, e.g. once it is graded', () => {
+        const data = createTeam();
+        addAttempts(data, 'u1', [attempt('a.json#1', null, NOW)]);
+        addAttempts(data, 'u1', [attempt('a.json#1', true, NOW), attempt('a.json#1', false, NOW + 1)]);
+        assert.deepEqual(data.attempts.u1.map(a => a.correct), [true, false]);
+    });
+
+    test('throws for unknown users', () => {
+        assert.throws(() => addAttempts(createTeam(), 'u9', []), /not registered/);
+    });
+});
+
+describe('createAttemptsUpload', () => {
+    test('sends only the shared fields of valid attempts', () => {
+        const upload = createAttemptsUpload([
+            { ...attempt('a.json#1', false, NOW), sourceFile: 'a.json', timeTaken: 12, mode: 'exam' },
+            { ...attempt('a.json#2', null, NOW + 1), type: 'open-ended', typedAnswer: 'my notes', grade: 'hard' },
+            { questionUid: 'a.json#3' }
+        ]);
+        assert.deepEqual(upload, {
+            attempts: [
+                { questionUid: 'a.json#1', sourceFile: 'a.json', tags: ['S3'], type: 'multiple-choice', correct: false, timestamp: NOW, timeTaken: 12, mode: 'exam' },
+                { questionUid: 'a.json#2', tags: ['S3'], type: 'open-ended', correct: null, timestamp: NOW + 1 }
+            ]
+        });
+    });
+});
+
+describe('team stats', () => {
+    test('getTagAccuracy combines every user, weakest tag first', () => {
+        const data = createTeam();
+        addAttempts(data, 'u1', [attempt('a.json#1', true, NOW), attempt('a.json#2', false, NOW, ['EC2'])]);
+        addAttempts(data, 'u2', [attempt('a.json#1', false, NOW - 30 * DAY)]);
+        assert.deepEqual(getTagAccuracy(data, NOW), [
+            { tag: 'EC2', total: 1, correct: 0, recentTotal: 1, recentCorrect: 0, accuracy: 0 },
+            { tag: 'S3', total: 2, correct: 1, recentTotal: 1, recentCorrect: 1, accuracy: 0.5 }
+        ]);
+    });
+
+    test('getHardestQuestions ranks questions answered often enough by accuracy', () => {
+        const data = createTeam();
+        addAttempts(data, 'u1', [attempt('a.json#1', true, NOW), attempt('a.json#2', false, NOW), attempt('a.json#3', false, NOW)]);
+        addAttempts(data, 'u2', [attempt('a.json#1', false, NOW), attempt('a.json#2', false, NOW), attempt('a.json#2', true, NOW + 1)]);
+        assert.deepEqual(getHardestQuestions(data), [
+            { questionUid: 'a.json#2', tags: ['S3'], total: 3, correct: 1, users: 2, accuracy: 1 / 3 },
+            { questionUid: 'a.json#1', tags: ['S3'], total: 2, correct: 1, users: 2, accuracy: 0.5 }
+        ]);
+        assert.equal(getHardestQuestions(data, { limit: 1 }).length, 1);
+    });
+
+    test('getStreak counts days in a row up to today or yesterday', () => {
+        assert.equal(getStreak([NOW, NOW - DAY, NOW - 2 * DAY, NOW - 4 * DAY], NOW), 3);
+        assert.equal(getStreak([NOW - DAY, NOW - 2 * DAY], NOW), 2);
+        assert.equal(getStreak([NOW - 2 * DAY], NOW), 0);
+        assert.equal(getStreak([], NOW), 0);
+    });
+
+    test('getLeaderboard orders users by streak', () => {
+        const data = createTeam();
+        addAttempts(data, 'u1', [attempt('a.json#1', true, NOW - 20 * DAY)]);
+        addAttempts(data, 'u2', [attempt('a.json#1', true, NOW - DAY), attempt('a.json#2', false, NOW)]);
+        assert.deepEqual(getLeaderboard(data, NOW), [
+            { name: 'Ben', streak: 2, answered: 2, recentAccuracy: 0.5, lastActive: NOW },
+            { name: 'Ana', streak: 0, answered: 1, recentAccuracy: null, lastActive: NOW - 20 * DAY }
+        ]);
+    });
+});
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const VALIDATOR = fileURLToPath(new URL('../scripts/validate_questions.mjs', import.meta.url));
+
+const validQuestion = {
+    id: 'q1',
+    type: 'multiple-choice',
+    question: 'Which service stores objects?',
+    options: ['Amazon S3', 'Amazon EC2'],
+    correctIndex: 0,
+    explanation: 'S3 is object storage.',
+    tags: ['Storage']
+};
+
+// Run the validator on a data directory. Resolves to its exit code and output.
+async function runValidator(dataDir) {
+    try {
+        const { stdout } = await promisify(execFile)(process.execPath, [VALIDATOR, dataDir]);
+        return { code: 0, stdout };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout };
+    }
+}
+
+describe('validate_questions.mjs', () => {
+    let dataDir;
+
+    before(async () => {
+        dataDir = await mkdtemp(path.join(tmpdir(), 'validate-questions-'));
+        const files = ['good-questions.json', 'broken-questions.json'];
+        await writeFile(path.join(dataDir, 'manifest.json'), JSON.stringify({ profiles: { all: { name: 'All', files } }, files }));
+        await writeFile(path.join(dataDir, files[0]), JSON.stringify([validQuestion]));
+        await writeFile(path.join(dataDir, files[1]), JSON.stringify([
+            { ...validQuestion, id: 'b1', question: 'Which service runs containers?', correctIndex: undefined }
+        ]));
+    });
+
+    after(() => rm(dataDir, { recursive: true, force: true }));
+
+    test('reports invalid questions per file and exits with status 1', async () => {
+        const { code, stdout } = await runValidator(dataDir);
+
+        assert.equal(code, 1);
+        assert.equal(stdout, [
+            'broken-questions.json',
+            '  error   b1: missing "correctIndex"',
+            '',
+            'Checked 1 question(s) in 2 file(s): 1 error(s), 0 warning(s).',
+            ''
+        ].join('\n'));
+    });
+
+    test('exits with status 0 once the errors are fixed', async () => {
+        await writeFile(path.join(dataDir, 'broken-questions.json'), JSON.stringify([
+            { ...validQuestion, id: 'b1', question: 'Which service runs containers?' }
+        ]));
+        const { code, stdout } = await runValidator(dataDir);
+
+        assert.equal(code, 0);
+        assert.match(stdout, /0 error\(s\)/);
+    });
+
+    test('reports profiles and manifests that are not objects', async () => {
+        const files = ['good-questions.json', 'broken-questions.json'];
+        const manifestFile = path.join(dataDir, 'manifest.json');
+        await writeFile(manifestFile, JSON.stringify({ profiles: { all: { name: 'All', files }, empty: null, named: 'foo' }, files }));
+        const { code, stdout } = await runValidator(dataDir);
+
+        assert.equal(code, 1);
+        assert.match(stdout, /manifest\.json\n {2}error {3}profile "empty" must be an object\n {2}error {3}profile "named" must be an object\n/);
+
+        await writeFile(manifestFile, 'null');
+        const invalid = await runValidator(dataDir);
+        assert.equal(invalid.code, 1);
+        assert.match(invalid.stdout, /error {3}must be an object with "profiles" and "files"/);
+    });
+});